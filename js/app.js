@@ -8,6 +8,72 @@ let autoRefreshInterval = null;
 let isRefreshing = false;
 let serversData = null;
 
+// 正在编辑的服务器ID (null表示添加模式)
+let editingServerId = null;
+
+// 详情面板当前展示的服务器ID
+let detailServerId = null;
+const DETAIL_HISTORY_RANGE = 24 * 60 * 60 * 1000; // 详情图表展示最近24小时
+const UPTIME_REFRESH_INTERVAL = 5 * 60 * 1000; // 可用率汇总每5分钟更新一次
+const UPTIME_WINDOWS = { '24h': '24小时', '7d': '7天', '30d': '30天' };
+let detailMods = null;
+let detailModFilter = '';
+
+// 实时推送连接
+let eventSource = null;
+let streamRetryTimer = null;
+const STREAM_RETRY_MIN = 5000;
+const STREAM_RETRY_MAX = 60000;
+let streamRetryDelay = STREAM_RETRY_MIN;
+
+// RCON控制台状态
+let rconServerId = null;
+let rconHistory = loadRconHistory();
+let rconHistoryIndex = -1;
+const RCON_HISTORY_LIMIT = 50;
+
+// MOTD支持的样式
+const MOTD_FORMATS = ['bold', 'italic', 'underlined', 'strikethrough', 'obfuscated'];
+
+// 模组加载器显示名称
+const MOD_LOADER_NAMES = {
+    forge: 'Forge',
+    neoforge: 'NeoForge',
+    fabric: 'Fabric',
+    quilt: 'Quilt',
+    unknown: '模组服务器'
+};
+
+// 待导入的文件 { name, format, data }
+let importData = null;
+
+// 导入预览中各操作的显示名称
+const IMPORT_ACTIONS = {
+    add: { label: '新增', className: 'import-add' },
+    update: { label: '更新', className: 'import-update' },
+    unchanged: { label: '无变化', className: 'import-unchanged' },
+    duplicate: { label: '重复', className: 'import-duplicate' },
+    error: { label: '错误', className: 'import-error' }
+};
+
+// 登录令牌与当前用户 (未登录时为null)
+let authToken = localStorage.getItem('authToken');
+let currentUser = null;
+
+// 各服务器类型的默认端口
+const DEFAULT_PORTS = Object.fromEntries(
+    Object.entries(ServerSchema.SERVER_TYPES).map(([type, config]) => [type, config.defaultPort])
+);
+
+// 表单字段对应的错误提示元素
+const FORM_ERROR_ELEMENTS = {
+    name: 'nameError',
+    address: 'addressError',
+    port: 'portError',
+    queryPort: 'serverQueryPortError',
+    rconPort: 'serverRconPortError'
+};
+
 // DOMContentLoaded事件
 document.addEventListener('DOMContentLoaded', function() {
     initializeApp();
@@ -22,11 +88,24 @@ function initializeApp() {
     // 绑定事件监听器
     bindEventListeners();
 
+    // 获取登录状态
+    checkAuth();
+
     // 加载服务器数据
     loadServers();
 
-    // 启动自动刷新
-    startAutoRefresh();
+    // 订阅实时推送 (不可用时回退到自动刷新)
+    startLiveUpdates();
+
+    // 可用率汇总
+    loadUptimeSummary();
+    setInterval(() => {
+        if (document.visibilityState === 'visible') loadUptimeSummary();
+    }, UPTIME_REFRESH_INTERVAL);
+
+    // 详情面板路由 (#/server/<id>)
+    window.addEventListener('hashchange', handleRouteChange);
+    handleRouteChange();
 
     // 页面可见性变化监听
     document.addEventListener('visibilitychange', handleVisibilityChange);
@@ -63,6 +142,69 @@ function bindEventListeners() {
         });
     }
 
+    const detailModal = document.getElementById('serverDetailModal');
+    if (detailModal) {
+        detailModal.addEventListener('click', function(event) {
+            if (event.target === this) {
+                closeServerDetail();
+            }
+        });
+    }
+
+    // 服务器类型切换时更新默认端口
+    const serverTypeSelect = document.getElementById('serverType');
+    if (serverTypeSelect) {
+        serverTypeSelect.addEventListener('change', updateDefaultPort);
+    }
+
+    // 启用Query时才允许填写Query端口
+    const serverQueryCheckbox = document.getElementById('serverQuery');
+    if (serverQueryCheckbox) {
+        serverQueryCheckbox.addEventListener('change', function() {
+            document.getElementById('serverQueryPort').disabled = !this.checked;
+        });
+    }
+
+    // RCON控制台
+    const rconForm = document.getElementById('rconForm');
+    if (rconForm) {
+        rconForm.addEventListener('submit', sendRconCommand);
+    }
+
+    const rconCommandInput = document.getElementById('rconCommand');
+    if (rconCommandInput) {
+        rconCommandInput.addEventListener('keydown', handleRconHistoryKeys);
+    }
+
+    // 切换导入方式时重新生成预览
+    document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+        radio.addEventListener('change', previewImport);
+    });
+
+    const importModal = document.getElementById('importModal');
+    if (importModal) {
+        importModal.addEventListener('click', function(event) {
+            if (event.target === this) {
+                hideImportModal();
+            }
+        });
+    }
+
+    // 登录表单
+    const loginForm = document.getElementById('loginForm');
+    if (loginForm) {
+        loginForm.addEventListener('submit', login);
+    }
+
+    const rconModal = document.getElementById('rconModal');
+    if (rconModal) {
+        rconModal.addEventListener('click', function(event) {
+            if (event.target === this) {
+                hideRconConsole();
+            }
+        });
+    }
+
     // 服务器地址输入框回车键监听
     const serverAddressInput = document.getElementById('serverAddress');
     if (serverAddressInput) {
@@ -79,6 +221,23 @@ function bindEventListeners() {
     }
 }
 
+/**
+ * 根据服务器类型更新默认端口
+ */
+function updateDefaultPort() {
+    const type = document.getElementById('serverType').value;
+    const portInput = document.getElementById('serverPort');
+    if (!portInput) return;
+
+    const defaultPort = DEFAULT_PORTS[type] || DEFAULT_PORTS.java;
+
+    // 仅在用户未自定义端口时替换
+    if (!portInput.value || Object.values(DEFAULT_PORTS).includes(parseInt(portInput.value))) {
+        portInput.value = defaultPort;
+    }
+    portInput.placeholder = defaultPort;
+}
+
 /**
  * 页面可见性变化处理
  */
@@ -86,9 +245,14 @@ function handleVisibilityChange() {
     if (document.visibilityState === 'visible') {
         console.log('🔄 页面恢复可见，刷新数据');
         loadServers();
+
+        // 实时推送未连接时恢复轮询
+        if (!isStreaming()) {
+            startAutoRefresh();
+        }
     } else {
         console.log('⏸️ 页面隐藏，暂停自动刷新');
-        clearInterval(autoRefreshInterval);
+        stopAutoRefresh();
     }
 }
 
@@ -102,9 +266,19 @@ function handleKeyboardShortcuts(event) {
         refreshAllServers();
     }
 
-    // 按ESC关闭模态框
+    // 按ESC关闭模态框 (由上层向下逐个关闭)
     if (event.key === 'Escape') {
-        hideAddServerModal();
+        if (document.getElementById('loginModal')?.classList.contains('show')) {
+            hideLoginModal();
+        } else if (document.getElementById('importModal')?.classList.contains('show')) {
+            hideImportModal();
+        } else if (document.getElementById('rconModal')?.classList.contains('show')) {
+            hideRconConsole();
+        } else if (document.getElementById('addServerModal')?.classList.contains('show')) {
+            hideAddServerModal();
+        } else {
+            closeServerDetail();
+        }
     }
 
     // 按Ctrl+N或Cmd+N添加服务器
@@ -125,7 +299,7 @@ async function loadServers() {
         showLoading(true);
 
         const timestamp = Date.now();
-        const response = await fetch(`/api/servers?t=${timestamp}`);
+        const response = await apiFetch(`/api/servers?t=${timestamp}`);
 
         if (!response.ok) {
             throw new Error(`HTTP错误! 状态: ${response.status}`);
@@ -174,7 +348,7 @@ async function refreshAllServers() {
         isRefreshing = true;
         showToast('正在刷新服务器状态...', 'info');
 
-        const response = await fetch('/api/refresh', {
+        const response = await apiFetch('/api/refresh', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -252,15 +426,67 @@ function renderServerList(servers) {
     serverList.innerHTML = servers.map(server => createServerCard(server)).join('');
 
     // 为每个卡片添加删除按钮事件
-    servers.forEach(server => {
-        const deleteBtn = document.getElementById(`delete-server-${server.id}`);
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                deleteServer(server.id, server.name);
-            });
-        }
-    });
+    servers.forEach(server => bindServerCardEvents(server));
+}
+
+/**
+ * 绑定服务器卡片事件
+ */
+function bindServerCardEvents(server) {
+    const deleteBtn = document.getElementById(`delete-server-${server.id}`);
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteServer(server.id, server.name);
+        });
+    }
+}
+
+/**
+ * 仅重新渲染单个服务器卡片
+ */
+function updateServerCard(server) {
+    const card = document.getElementById(`server-${server.id}`);
+    if (!card) return;
+
+    const template = document.createElement('template');
+    template.innerHTML = createServerCard(server).trim();
+    card.replaceWith(template.content.firstElementChild);
+
+    bindServerCardEvents(server);
+}
+
+/**
+ * 根据服务器列表重新计算统计数据
+ */
+function recalculateSummary(data) {
+    data.total = data.servers.length;
+    data.online = data.servers.filter(s => s.online).length;
+    data.totalPlayers = data.servers.reduce((sum, s) => sum + (s.players?.online || 0), 0);
+    data.timestamp = Date.now();
+}
+
+/**
+ * 应用推送的单个服务器状态
+ */
+function applyServerUpdate(server) {
+    if (!serversData?.servers) return;
+
+    const index = serversData.servers.findIndex(s => s.id == server.id);
+    if (index === -1) {
+        // 新出现的服务器，重新加载完整列表
+        loadServers();
+        return;
+    }
+
+    serversData.servers[index] = server;
+    recalculateSummary(serversData);
+    updateDashboard(serversData);
+    updateServerCard(server);
+
+    if (detailServerId == server.id) {
+        renderServerDetail(server);
+    }
 }
 
 /**
@@ -271,9 +497,14 @@ function createServerCard(server) {
     const playerCount = server.players?.online || 0;
     const maxPlayers = server.players?.max || 0;
     const playerPercentage = maxPlayers > 0 ? Math.round((playerCount / maxPlayers) * 100) : 0;
+    // Query提供的完整玩家列表优先于状态响应中的采样
+    const playerNames = server.players?.list || server.players?.sample || [];
+    // 实时推送连接时尚未查询过的服务器，等待推送的查询结果
+    const statusClass = server.pending ? 'pending' : (isOnline ? 'online' : 'offline');
+    const statusText = server.pending ? '查询中' : (isOnline ? '在线' : '离线');
 
     return `
-        <div class="server-card ${isOnline ? 'online' : 'offline'}" 
+        <div class="server-card ${statusClass}" 
              id="server-${server.id}"
              onclick="viewServerDetail(${server.id})"
              style="cursor: pointer;">
@@ -286,14 +517,23 @@ function createServerCard(server) {
                     <div class="server-address" title="${server.address}:${server.port}">
                         ${server.address}:${server.port}
                     </div>
+                    ${server.resolved?.srv ? `
+                        <div class="server-address srv-target" title="SRV记录指向 ${escapeHtml(server.resolved.host)}:${server.resolved.port}">
+                            <i class="fas fa-share"></i> ${escapeHtml(server.resolved.host)}:${server.resolved.port}
+                        </div>
+                    ` : ''}
                 </div>
                 <div class="server-status">
-                    <div class="status-dot ${isOnline ? 'online' : 'offline'}"></div>
-                    <span>${isOnline ? '在线' : '离线'}</span>
+                    <div class="status-dot ${statusClass}"></div>
+                    <span>${statusText}</span>
                 </div>
             </div>
             
             <div class="server-content">
+                ${isOnline && server.motd?.text ? `
+                    <div class="server-motd">${renderMotd(server.motd)}</div>
+                ` : ''}
+                
                 ${server.description ? `
                     <div class="server-description" title="${escapeHtml(server.description)}">
                         ${escapeHtml(server.description)}
@@ -317,18 +557,21 @@ function createServerCard(server) {
                     </div>
                     <div class="stat">
                         <div class="stat-label">延迟</div>
-                        <div class="stat-value">${server.ping ? server.ping + 'ms' : '-'}</div>
+                        <div class="stat-value" title="${formatLatencyTitle(server)}">${formatLatency(server)}</div>
                     </div>
                 </div>
                 
+                ${server.queryData ? createQueryInfo(server.queryData) : ''}
+                ${server.mods ? createModInfo(server.mods) : ''}
+                
                 ${isOnline && playerCount > 0 ? `
                     <div class="server-players">
                         <div class="players-header">
                             <div class="player-count">在线玩家 (${playerCount}/${maxPlayers})</div>
                         </div>
-                        ${server.players?.sample && server.players.sample.length > 0 ? `
+                        ${playerNames.length > 0 ? `
                             <div class="player-list">
-                                ${server.players.sample.slice(0, 8).map(player => `
+                                ${playerNames.slice(0, 8).map(player => `
                                     <span class="player-tag" title="${escapeHtml(player.name || player)}">
                                         <i class="fas fa-user"></i>
                                         ${escapeHtml((player.name || player).substring(0, 12))}
@@ -348,23 +591,101 @@ function createServerCard(server) {
             <div class="server-footer">
                 <span class="server-category">${escapeHtml(server.category || '未分类')}</span>
                 <div class="server-actions">
+                    ${server.rconEnabled ? `
+                        <button class="btn btn-outline btn-small admin-only" 
+                                title="RCON控制台"
+                                onclick="showRconConsole(${server.id}, event)">
+                            <i class="fas fa-terminal"></i>
+                        </button>
+                    ` : ''}
                     <button class="btn btn-outline btn-small" 
                             onclick="refreshServer(${server.id}, event)">
                         <i class="fas fa-redo"></i>
                     </button>
-                    <button class="btn btn-danger btn-small" 
+                    <button class="btn btn-danger btn-small editor-only" 
                             id="delete-server-${server.id}">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
-                <span class="last-updated" title="${new Date(server.lastUpdated).toLocaleString()}">
-                    ${formatRelativeTime(new Date(server.lastUpdated))}
-                </span>
+                ${server.pending ? `
+                    <span class="last-updated stale" title="正在查询服务器状态">
+                        <i class="fas fa-spinner fa-spin"></i>
+                        查询中
+                    </span>
+                ` : `
+                    <span class="last-updated ${server.stale ? 'stale' : ''}" title="${new Date(server.lastUpdated).toLocaleString()}${server.stale ? ' (数据已过期，正在后台刷新)' : ''}">
+                        ${server.stale ? '<i class="fas fa-hourglass-half"></i>' : ''}
+                        ${formatRelativeTime(new Date(server.lastUpdated))}
+                    </span>
+                `}
             </div>
         </div>
     `;
 }
 
+/**
+ * 将解析后的MOTD片段渲染为带颜色和样式的HTML
+ */
+function renderMotd(motd) {
+    if (!motd?.spans) return '';
+
+    return motd.spans.map(span => {
+        const classes = MOTD_FORMATS.filter(format => span[format]).map(format => `motd-${format}`);
+        // 颜色仅接受 #RRGGBB，避免注入样式
+        const color = /^#[0-9a-f]{6}$/i.test(span.color || '') ? span.color : null;
+        const text = escapeHtml(span.text).replace(/\n/g, '<br>');
+
+        if (classes.length === 0 && !color) return text;
+
+        return `<span${classes.length > 0 ? ` class="${classes.join(' ')}"` : ''}` +
+               `${color ? ` style="color: ${color}"` : ''}>${text}</span>`;
+    }).join('');
+}
+
+/**
+ * 创建Query信息HTML (地图、服务端、插件)
+ */
+function createQueryInfo(queryData) {
+    const plugins = queryData.plugins || [];
+
+    return `
+        <div class="server-query-info">
+            ${queryData.map ? `
+                <span title="地图"><i class="fas fa-map"></i> ${escapeHtml(queryData.map)}</span>
+            ` : ''}
+            ${queryData.software ? `
+                <span title="服务端"><i class="fas fa-cogs"></i> ${escapeHtml(queryData.software)}</span>
+            ` : ''}
+            ${plugins.length > 0 ? `
+                <span title="${escapeHtml(plugins.join('\n'))}">
+                    <i class="fas fa-puzzle-piece"></i> ${plugins.length} 个插件
+                </span>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * 创建模组加载器信息HTML
+ */
+function createModInfo(mods) {
+    const modList = mods.mods || [];
+
+    return `
+        <div class="server-query-info">
+            <span title="模组加载器"><i class="fas fa-cubes"></i> ${escapeHtml(MOD_LOADER_NAMES[mods.loader] || mods.loader)}</span>
+            ${modList.length > 0 ? `
+                <span title="${escapeHtml(modList.slice(0, 30).map(mod => mod.id).join('\n'))}">
+                    <i class="fas fa-puzzle-piece"></i> ${modList.length}${mods.truncated ? '+' : ''} 个模组
+                </span>
+            ` : ''}
+            ${mods.modpack?.name ? `
+                <span title="整合包"><i class="fas fa-box"></i> ${escapeHtml(mods.modpack.name)}${mods.modpack.version ? ' ' + escapeHtml(mods.modpack.version) : ''}</span>
+            ` : ''}
+        </div>
+    `;
+}
+
 /**
  * 创建空状态HTML
  */
@@ -407,14 +728,74 @@ function hideAddServerModal() {
     if (!modal) return;
 
     modal.classList.remove('show');
-    document.body.style.overflow = '';
+    restoreBodyScroll();
 
     // 重置表单
     const form = document.getElementById('addServerForm');
     if (form) {
         form.reset();
+        document.getElementById('serverQueryPort').disabled = true;
         clearFormErrors();
     }
+
+    // 恢复为添加模式
+    editingServerId = null;
+    setServerFormMode(false);
+}
+
+/**
+ * 显示编辑服务器模态框 (复用添加表单)
+ * 表单内容来自服务器配置，而不是包含查询结果的状态对象
+ */
+async function showEditServerModal(serverId) {
+    let server;
+    try {
+        const response = await apiFetch(`/api/server/${serverId}/config`);
+        if (!response.ok) throw new Error(response.status === 404 ? '服务器未找到' : `HTTP错误! 状态: ${response.status}`);
+        server = await response.json();
+    } catch (error) {
+        console.error('❌ 加载服务器配置失败:', error);
+        showToast('加载服务器配置失败: ' + error.message, 'error');
+        return;
+    }
+
+    editingServerId = server.id;
+    setServerFormMode(true);
+
+    document.getElementById('serverName').value = server.name || '';
+    document.getElementById('serverAddress').value = server.address || '';
+    document.getElementById('serverType').value = server.type || 'java';
+    document.getElementById('serverPort').value = server.port || DEFAULT_PORTS[server.type] || DEFAULT_PORTS.java;
+    document.getElementById('serverQuery').checked = !!server.query;
+    document.getElementById('serverQueryPort').disabled = !server.query;
+    document.getElementById('serverQueryPort').value = server.queryPort || '';
+    document.getElementById('serverRconPort').value = server.rconPort || '';
+    document.getElementById('serverRconPassword').value = '';
+    document.getElementById('serverCategory').value = server.category || '';
+    document.getElementById('serverDescription').value = server.description || '';
+
+    showAddServerModal();
+}
+
+/**
+ * 切换服务器表单的添加/编辑模式文案
+ */
+function setServerFormMode(isEditing) {
+    document.getElementById('serverModalTitle').textContent = isEditing ? '编辑服务器' : '添加新服务器';
+    document.getElementById('serverModalIcon').className = isEditing ? 'fas fa-edit' : 'fas fa-plus';
+    document.getElementById('serverFormSubmit').innerHTML = isEditing
+        ? '<i class="fas fa-save"></i> 保存修改'
+        : '<i class="fas fa-plus"></i> 添加服务器';
+    document.getElementById('serverRconPassword').placeholder = isEditing ? 'RCON密码 (留空保持不变)' : 'RCON密码';
+}
+
+/**
+ * 所有模态框关闭后恢复页面滚动
+ */
+function restoreBodyScroll() {
+    if (!document.querySelector('.modal.show')) {
+        document.body.style.overflow = '';
+    }
 }
 
 /**
@@ -432,83 +813,97 @@ function clearFormErrors() {
 async function addServer(event) {
     event.preventDefault();
 
+    const type = document.getElementById('serverType').value;
     const formData = {
-        name: document.getElementById('serverName').value.trim(),
-        address: document.getElementById('serverAddress').value.trim(),
-        port: document.getElementById('serverPort').value.trim() || '25565',
-        category: document.getElementById('serverCategory').value.trim(),
-        description: document.getElementById('serverDescription').value.trim()
+        name: document.getElementById('serverName').value,
+        address: document.getElementById('serverAddress').value,
+        type: type,
+        port: document.getElementById('serverPort').value || String(DEFAULT_PORTS[type]),
+        category: document.getElementById('serverCategory').value,
+        description: document.getElementById('serverDescription').value,
+        query: document.getElementById('serverQuery').checked,
+        queryPort: document.getElementById('serverQueryPort').value,
+        rconPort: document.getElementById('serverRconPort').value
     };
 
+    // RCON密码留空表示保持不变
+    const rconPassword = document.getElementById('serverRconPassword').value;
+    if (rconPassword) {
+        formData.rconPassword = rconPassword;
+    }
+
     // 验证表单
-    if (!validateServerForm(formData)) {
+    const serverConfig = validateServerForm(formData);
+    if (!serverConfig) {
         return;
     }
 
+    const isEditing = editingServerId !== null;
+
     try {
-        const response = await fetch('/api/servers', {
-            method: 'POST',
+        const response = await apiFetch(isEditing ? `/api/server/${editingServerId}` : '/api/servers', {
+            method: isEditing ? 'PUT' : 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({
-                ...formData,
-                port: parseInt(formData.port)
-            })
+            body: JSON.stringify(serverConfig)
         });
 
         if (!response.ok) {
             const error = await response.json();
-            throw new Error(error.error || '添加失败');
+            if (error.fields) {
+                showServerFieldErrors(error.fields);
+            }
+            throw new Error(error.error || (isEditing ? '保存失败' : '添加失败'));
         }
 
         const result = await response.json();
 
         hideAddServerModal();
-        showToast(`✅ 服务器 "${formData.name}" 添加成功`, 'success');
+        showToast(`✅ 服务器 "${serverConfig.name}" ${isEditing ? '已更新' : '添加成功'}`, 'success');
 
         // 加载更新后的服务器列表
         setTimeout(() => loadServers(), 500);
 
     } catch (error) {
-        console.error('❌ 添加服务器失败:', error);
-        showToast(`添加失败: ${error.message}`, 'error');
+        console.error(`❌ ${isEditing ? '更新' : '添加'}服务器失败:`, error);
+        showToast(`${isEditing ? '保存' : '添加'}失败: ${error.message}`, 'error');
     }
 }
 
 /**
- * 验证服务器表单
+ * 使用共享的Schema验证服务器表单，通过时返回转换后的配置，否则返回null
  */
 function validateServerForm(data) {
-    let isValid = true;
     clearFormErrors();
 
-    // 验证服务器名称
-    if (!data.name) {
-        showFormError('nameError', '请输入服务器名称');
-        isValid = false;
-    } else if (data.name.length > 50) {
-        showFormError('nameError', '服务器名称不能超过50个字符');
-        isValid = false;
+    const { value, errors } = ServerSchema.validateServerEntry(data, { partial: editingServerId !== null });
+    if (errors) {
+        showServerFieldErrors(errors);
+        return null;
     }
 
-    // 验证服务器地址
-    if (!data.address) {
-        showFormError('addressError', '请输入服务器地址');
-        isValid = false;
-    } else if (!isValidAddress(data.address)) {
-        showFormError('addressError', '请输入有效的服务器地址');
-        isValid = false;
-    }
+    return value;
+}
 
-    // 验证端口号
-    const port = parseInt(data.port);
-    if (isNaN(port) || port < 1 || port > 65535) {
-        showFormError('portError', '端口号必须在 1-65535 之间');
-        isValid = false;
+/**
+ * 在表单对应字段下显示校验错误，没有对应位置的错误通过提示消息显示
+ */
+function showServerFieldErrors(errors) {
+    const otherErrors = [];
+
+    for (const [field, message] of Object.entries(errors)) {
+        const errorElement = FORM_ERROR_ELEMENTS[field];
+        if (errorElement && document.getElementById(errorElement)) {
+            showFormError(errorElement, message);
+        } else {
+            otherErrors.push(`${ServerSchema.SERVER_FIELDS[field]?.label || field}: ${message}`);
+        }
     }
 
-    return isValid;
+    if (otherErrors.length > 0) {
+        showToast(otherErrors.join('；'), 'error');
+    }
 }
 
 /**
@@ -531,21 +926,6 @@ function showFormError(fieldId, message) {
     }
 }
 
-/**
- * 验证服务器地址格式
- */
-function isValidAddress(address) {
-    // 允许域名、IP地址、本地地址
-    const patterns = [
-        /^[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/, // 域名
-        /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/, // IPv4
-        /^localhost$/, // localhost
-        /^[a-zA-Z0-9\-_]+$/, // 无后缀的主机名
-    ];
-
-    return patterns.some(pattern => pattern.test(address));
-}
-
 // /**
 //  * 删除服务器
 //  */
@@ -575,7 +955,7 @@ function isValidAddress(address) {
 // }
 
 /**
- * 删除服务器
+ * 删除服务器，返回是否删除成功
  */
 async function deleteServer(serverId, serverName) {
     // 显示确认对话框
@@ -586,13 +966,13 @@ async function deleteServer(serverId, serverName) {
     );
 
     if (!confirmed) {
-        return;
+        return false;
     }
 
     try {
         showToast('正在删除服务器...', 'info');
 
-        const response = await fetch(`/api/server/${serverId}`, {
+        const response = await apiFetch(`/api/server/${serverId}`, {
             method: 'DELETE',
             headers: {
                 'Content-Type': 'application/json'
@@ -615,6 +995,8 @@ async function deleteServer(serverId, serverName) {
             loadServers();
         }, 1000);
 
+        return true;
+
     } catch (error) {
         console.error('❌ 删除服务器失败:', error);
 
@@ -625,6 +1007,7 @@ async function deleteServer(serverId, serverName) {
         }
 
         showToast(`删除失败: ${errorMessage}`, 'error');
+        return false;
     }
 }
 
@@ -784,20 +1167,14 @@ async function refreshServer(serverId, event) {
     }
 
     try {
-        const response = await fetch(`/api/server/${serverId}`);
+        // 只有editor可以强制重新查询，其他用户获取缓存的状态
+        const response = await apiFetch(`/api/server/${serverId}${canEdit() ? '?refresh=true' : ''}`);
         if (!response.ok) throw new Error('刷新失败');
 
         const server = await response.json();
 
         // 更新缓存中的服务器数据
-        if (serversData?.servers) {
-            const index = serversData.servers.findIndex(s => s.id == serverId);
-            if (index !== -1) {
-                serversData.servers[index] = server;
-                updateDashboard(serversData);
-                renderServerList(serversData.servers);
-            }
-        }
+        applyServerUpdate(server);
 
         showToast(`✅ 服务器状态已更新`, 'success');
 
@@ -808,134 +1185,886 @@ async function refreshServer(serverId, event) {
 }
 
 /**
- * 查看服务器详情
+ * 显示RCON控制台
  */
-function viewServerDetail(serverId) {
-    if (!serversData?.servers) return;
+function showRconConsole(serverId, event) {
+    if (event) event.stopPropagation();
 
-    const server = serversData.servers.find(s => s.id == serverId);
-    if (!server) return;
+    const server = serversData?.servers?.find(s => s.id == serverId);
+    const modal = document.getElementById('rconModal');
+    if (!modal) return;
+
+    rconServerId = serverId;
+    rconHistoryIndex = -1;
 
-    // 这里可以扩展为显示详细信息的模态框
-    console.log('查看服务器详情:', server);
+    document.getElementById('rconTitle').textContent = `RCON 控制台 - ${server?.name || serverId}`;
+    document.getElementById('rconOutput').innerHTML = '';
+    appendRconOutput('已连接到控制台，输入命令后按回车执行', 'info');
 
-    // 临时显示服务器信息
-    alert(`服务器详情:\n\n` +
-          `名称: ${server.name}\n` +
-          `地址: ${server.address}:${server.port}\n` +
-          `状态: ${server.online ? '在线' : '离线'}\n` +
-          `玩家: ${server.players?.online || 0}/${server.players?.max || 0}\n` +
-          `版本: ${server.version || '未知'}\n` +
-          `延迟: ${server.ping ? server.ping + 'ms' : '-'}\n` +
-          `最后更新: ${new Date(server.lastUpdated).toLocaleString()}`);
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+    document.getElementById('rconCommand').focus();
 }
 
 /**
- * 显示Toast消息
+ * 隐藏RCON控制台
  */
-function showToast(message, type = 'info', duration = 3000) {
-    const toast = document.getElementById('toast');
-    if (!toast) return;
+function hideRconConsole() {
+    const modal = document.getElementById('rconModal');
+    if (!modal || !modal.classList.contains('show')) return;
 
-    // 清除之前的toast
-    toast.className = 'toast';
-    void toast.offsetWidth; // 触发重排
+    modal.classList.remove('show');
+    restoreBodyScroll();
+    rconServerId = null;
+}
 
-    // 设置新内容
-    toast.textContent = message;
-    toast.className = `toast ${type} show`;
+/**
+ * 执行RCON命令
+ */
+async function sendRconCommand(event) {
+    event.preventDefault();
 
-    // 添加图标
-    const icons = {
-        success: 'fas fa-check-circle',
-        error: 'fas fa-exclamation-circle',
-        info: 'fas fa-info-circle'
-    };
+    const input = document.getElementById('rconCommand');
+    const command = input.value.trim();
+    if (!command || rconServerId === null) return;
 
-    if (icons[type]) {
-        toast.innerHTML = `<i class="${icons[type]}"></i> ${message}`;
+    input.value = '';
+    addRconHistory(command);
+    appendRconOutput(`> ${command}`, 'command');
+
+    try {
+        input.disabled = true;
+
+        const response = await apiFetch(`/api/server/${rconServerId}/rcon`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ command })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || '执行失败');
+        }
+
+        appendRconOutput(data.output || '(无输出)', 'response');
+
+    } catch (error) {
+        console.error('❌ RCON命令执行失败:', error);
+        appendRconOutput(`执行失败: ${error.message}`, 'error');
+    } finally {
+        input.disabled = false;
+        input.focus();
     }
+}
 
-    // 自动隐藏
-    setTimeout(() => {
-        toast.classList.remove('show');
-    }, duration);
+/**
+ * 向控制台输出追加一行
+ */
+function appendRconOutput(text, type) {
+    const output = document.getElementById('rconOutput');
+    if (!output) return;
+
+    const line = document.createElement('div');
+    line.className = `rcon-line ${type}`;
+    // 去除§格式代码
+    line.textContent = text.replace(/\u00a7[0-9a-fk-or]/gi, '');
+    output.appendChild(line);
+    output.scrollTop = output.scrollHeight;
 }
 
 /**
- * 显示/隐藏加载状态
+ * 命令历史: ↑/↓ 切换
  */
-function showLoading(show) {
-    const loadingElement = document.getElementById('loading');
-    if (!loadingElement) return;
+function handleRconHistoryKeys(event) {
+    if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+    if (rconHistory.length === 0) return;
 
-    if (show) {
-        loadingElement.style.display = 'block';
+    event.preventDefault();
+
+    if (event.key === 'ArrowUp') {
+        rconHistoryIndex = Math.min(rconHistoryIndex + 1, rconHistory.length - 1);
     } else {
-        loadingElement.style.display = 'none';
+        rconHistoryIndex = Math.max(rconHistoryIndex - 1, -1);
     }
+
+    this.value = rconHistoryIndex === -1 ? '' : rconHistory[rconHistoryIndex];
 }
 
 /**
- * 启动自动刷新
+ * 记录命令历史 (最新的在前)
  */
-function startAutoRefresh(interval = 30000) {
-    if (autoRefreshInterval) {
-        clearInterval(autoRefreshInterval);
-    }
-
-    autoRefreshInterval = setInterval(() => {
-        if (!isRefreshing && document.visibilityState === 'visible') {
-            loadServers();
-        }
-    }, interval);
+function addRconHistory(command) {
+    rconHistory = [command, ...rconHistory.filter(c => c !== command)].slice(0, RCON_HISTORY_LIMIT);
+    rconHistoryIndex = -1;
 
-    console.log(`🔄 自动刷新已启动 (${interval / 1000}秒)`);
+    try {
+        localStorage.setItem('rconHistory', JSON.stringify(rconHistory));
+    } catch (error) {
+        // 本地存储不可用时仅保留在内存中
+    }
 }
 
 /**
- * 格式化相对时间
+ * 读取保存的命令历史
  */
-function formatRelativeTime(timestamp) {
-    const date = new Date(timestamp);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffSec = Math.floor(diffMs / 1000);
-    const diffMin = Math.floor(diffSec / 60);
-    const diffHour = Math.floor(diffMin / 60);
-
-    if (diffSec < 10) return '刚刚';
-    if (diffSec < 60) return `${diffSec}秒前`;
-    if (diffMin < 60) return `${diffMin}分钟前`;
-    if (diffHour < 24) return `${diffHour}小时前`;
-
-    return date.toLocaleTimeString('zh-CN', {
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-    });
+function loadRconHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem('rconHistory'));
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        return [];
+    }
 }
 
 /**
- * HTML转义
+ * 查看服务器详情 (通过路由打开，便于分享链接)
  */
-function escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function viewServerDetail(serverId) {
+    location.hash = `#/server/${serverId}`;
 }
 
 /**
- * 导出服务器列表
+ * 根据地址栏路由打开或关闭详情面板
  */
-function exportServers() {
-    if (!serversData?.servers) {
-        showToast('没有可导出的服务器数据', 'error');
-        return;
+function handleRouteChange() {
+    const match = /^#\/server\/([^/]+)$/.exec(location.hash);
+    if (match) {
+        openServerDetail(decodeURIComponent(match[1]));
+    } else {
+        hideServerDetail();
     }
+}
 
-    const dataStr = JSON.stringify(serversData.servers, null, 2);
+/**
+ * 打开服务器详情面板
+ */
+async function openServerDetail(serverId) {
+    const modal = document.getElementById('serverDetailModal');
+    if (!modal) return;
+
+    detailServerId = serverId;
+    detailModFilter = '';
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+
+    let server = serversData?.servers?.find(s => s.id == serverId);
+    if (!server) {
+        // 直接通过链接访问时列表可能尚未加载
+        document.getElementById('detailInfo').innerHTML = '<div class="detail-loading"><div class="spinner"></div></div>';
+        document.getElementById('detailHistory').innerHTML = '';
+        document.getElementById('detailPlayers').innerHTML = '';
+        document.getElementById('detailUptime').innerHTML = '';
+        document.getElementById('detailEmbed').innerHTML = '';
+
+        try {
+            const response = await apiFetch(`/api/server/${serverId}`);
+            if (!response.ok) throw new Error(response.status === 404 ? '服务器未找到' : '加载失败');
+            server = await response.json();
+        } catch (error) {
+            document.getElementById('detailInfo').innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <h3>${escapeHtml(error.message)}</h3>
+                </div>
+            `;
+            return;
+        }
+
+        if (detailServerId != serverId) return;
+    }
+
+    renderServerDetail(server);
+    renderEmbedCodes(serverId);
+    loadServerHistory(serverId);
+    loadServerUptime(serverId);
+    loadRecentPlayers(serverId);
+}
+
+/**
+ * 关闭详情面板并清除路由
+ */
+function closeServerDetail() {
+    if (location.hash) {
+        history.pushState('', document.title, location.pathname + location.search);
+    }
+    hideServerDetail();
+}
+
+/**
+ * 隐藏详情面板
+ */
+function hideServerDetail() {
+    const modal = document.getElementById('serverDetailModal');
+    if (!modal || !modal.classList.contains('show')) return;
+
+    modal.classList.remove('show');
+    detailServerId = null;
+    restoreBodyScroll();
+}
+
+/**
+ * 渲染详情面板的状态信息
+ */
+function renderServerDetail(server) {
+    const container = document.getElementById('detailInfo');
+    if (!container) return;
+
+    const searchFocused = document.activeElement?.id === 'detailModSearch';
+    document.getElementById('detailTitle').textContent = server.name || '服务器详情';
+
+    const isOnline = server.online;
+    const players = server.players?.list || server.players?.sample || [];
+    const favicon = /^data:image\/png;base64,[a-zA-Z0-9+/=]+$/.test(server.favicon || '') ? server.favicon : null;
+    const stats = server.latencyStats;
+    const queryData = server.queryData;
+
+    const rows = [
+        ['状态', isOnline ? '<span class="detail-online">在线</span>' : `<span class="detail-offline">离线</span>`],
+        ['地址', escapeHtml(`${server.address}:${server.port}`)],
+        ['实际探测', server.resolved
+            ? escapeHtml(`${server.resolved.host}:${server.resolved.port}`) +
+              (server.resolved.ip && server.resolved.ip !== server.resolved.host ? ` (${escapeHtml(server.resolved.ip)})` : '') +
+              (server.resolved.srv ? ' <span class="detail-badge">SRV</span>' : '')
+            : '-'],
+        ['类型', server.type === 'bedrock' ? '基岩版' : 'Java 版' + (server.legacy ? ' <span class="detail-badge">旧版协议</span>' : '')],
+        ['版本', escapeHtml(server.version || '未知')],
+        ['协议版本', server.protocol || '-'],
+        ['在线玩家', `${server.players?.online || 0} / ${server.players?.max || 0}`],
+        ['延迟', formatLatency(server) +
+            (stats && stats.samples.length > 1 ? ` <span class="detail-muted">(最小 ${stats.min}ms，抖动 ${stats.jitter}ms)</span>` : '')],
+        ['连接耗时', server.ping ? server.ping + 'ms' : '-'],
+        ['分类', escapeHtml(server.category || '未分类')],
+        ['最后更新', server.lastUpdated ? new Date(server.lastUpdated).toLocaleString() : '-']
+    ];
+
+    if (server.gamemode) rows.push(['游戏模式', escapeHtml(server.gamemode)]);
+    if (queryData?.software) rows.push(['服务端', escapeHtml(queryData.software)]);
+    if (queryData?.map) rows.push(['地图', escapeHtml(queryData.map)]);
+    if (server.mods) {
+        rows.push(['模组加载器', escapeHtml(MOD_LOADER_NAMES[server.mods.loader] || server.mods.loader) +
+            (server.mods.fmlNetworkVersion ? ` <span class="detail-muted">(FML${server.mods.fmlNetworkVersion})</span>` : '')]);
+    }
+    if (server.mods?.modpack?.name) {
+        rows.push(['整合包', escapeHtml(server.mods.modpack.name) +
+            (server.mods.modpack.version ? ' ' + escapeHtml(server.mods.modpack.version) : '')]);
+    }
+    if (!isOnline && server.error) rows.push(['错误', `<span class="detail-offline">${escapeHtml(server.error)}</span>`]);
+
+    container.innerHTML = `
+        <div class="detail-header">
+            ${favicon
+                ? `<img class="detail-favicon" src="${favicon}" alt="">`
+                : '<div class="detail-favicon placeholder"><i class="fas fa-cube"></i></div>'}
+            <div class="detail-header-info">
+                ${server.motd?.text ? `<div class="server-motd">${renderMotd(server.motd)}</div>` : ''}
+                ${server.description ? `<p class="detail-description">${escapeHtml(server.description)}</p>` : ''}
+            </div>
+        </div>
+
+        <div class="detail-actions">
+            <button class="btn btn-success btn-small" onclick="refreshServerDetail()">
+                <i class="fas fa-redo"></i> 刷新
+            </button>
+            <button class="btn btn-outline btn-small editor-only" onclick="showEditServerModal(${JSON.stringify(server.id)})">
+                <i class="fas fa-edit"></i> 编辑
+            </button>
+            ${server.rconEnabled ? `
+                <button class="btn btn-outline btn-small admin-only" onclick="showRconConsole(${JSON.stringify(server.id)})">
+                    <i class="fas fa-terminal"></i> 控制台
+                </button>
+            ` : ''}
+            <button class="btn btn-danger btn-small editor-only" onclick="deleteServerFromDetail()">
+                <i class="fas fa-trash"></i> 删除
+            </button>
+        </div>
+
+        <table class="detail-table">
+            ${rows.map(([label, value]) => `
+                <tr><th>${label}</th><td>${value}</td></tr>
+            `).join('')}
+        </table>
+
+        ${queryData?.plugins?.length > 0 ? `
+            <h3 class="detail-section-title">插件 (${queryData.plugins.length})</h3>
+            <div class="player-list">
+                ${queryData.plugins.map(plugin => `<span class="player-tag">${escapeHtml(plugin)}</span>`).join('')}
+            </div>
+        ` : ''}
+
+        ${server.mods?.mods?.length > 0 ? `
+            <h3 class="detail-section-title">
+                模组 (${server.mods.mods.length}${server.mods.truncated ? '+' : ''})
+                <input type="search" id="detailModSearch" class="detail-search" placeholder="搜索模组或频道..."
+                       value="${escapeHtml(detailModFilter)}" oninput="filterModList(this.value)">
+            </h3>
+            <div class="player-list" id="detailModList"></div>
+            ${server.mods.truncated ? '<div class="detail-muted">服务器仅返回了部分模组</div>' : ''}
+        ` : ''}
+
+        <h3 class="detail-section-title">在线玩家 (${players.length}${server.players?.list ? '' : ' 个采样'})</h3>
+        ${players.length > 0 ? `
+            <div class="player-list">
+                ${players.map(player => `
+                    <span class="player-tag" title="${escapeHtml(player.id || '')}">
+                        <i class="fas fa-user"></i>
+                        ${escapeHtml(player.name || player)}
+                    </span>
+                `).join('')}
+            </div>
+        ` : '<div class="no-players">暂无玩家信息</div>'}
+    `;
+
+    detailMods = server.mods || null;
+    if (detailMods?.mods?.length > 0) {
+        filterModList(detailModFilter);
+        // 状态推送会重新渲染面板，保持搜索框焦点
+        if (searchFocused) {
+            const search = document.getElementById('detailModSearch');
+            search.focus();
+            search.setSelectionRange(search.value.length, search.value.length);
+        }
+    }
+}
+
+/**
+ * 按关键字筛选详情面板中的模组列表
+ */
+function filterModList(keyword) {
+    detailModFilter = keyword || '';
+
+    const container = document.getElementById('detailModList');
+    if (!container || !detailMods) return;
+
+    const filter = detailModFilter.trim().toLowerCase();
+    const channels = detailMods.channels || [];
+    const matches = detailMods.mods.filter(mod => {
+        if (!filter) return true;
+        if (mod.id.toLowerCase().includes(filter)) return true;
+        if ((mod.version || '').toLowerCase().includes(filter)) return true;
+        // 同时匹配模组注册的网络频道
+        return channels.some(channel =>
+            channel.name.toLowerCase().startsWith(mod.id.toLowerCase() + ':') &&
+            channel.name.toLowerCase().includes(filter));
+    });
+
+    container.innerHTML = matches.length > 0
+        ? matches.map(mod => {
+            const modChannels = channels.filter(channel => channel.name.startsWith(mod.id + ':'));
+            const title = [
+                mod.serverOnly ? '仅服务端' : `版本: ${mod.version || '未知'}`,
+                ...modChannels.map(channel => `${channel.name} ${channel.version || ''}${channel.required ? ' (必需)' : ''}`)
+            ].join('\n');
+
+            return `
+                <span class="player-tag" title="${escapeHtml(title)}">
+                    <i class="fas fa-puzzle-piece"></i>
+                    ${escapeHtml(mod.id)}${mod.version ? ` <span class="detail-muted">${escapeHtml(mod.version)}</span>` : ''}
+                </span>
+            `;
+        }).join('')
+        : '<div class="no-players">没有匹配的模组</div>';
+}
+
+/**
+ * 加载所有服务器的可用率汇总，显示在顶部统计面板
+ */
+async function loadUptimeSummary() {
+    const element = document.getElementById('overallUptime');
+    if (!element) return;
+
+    try {
+        const response = await apiFetch('/api/uptime');
+        if (!response.ok) throw new Error(`HTTP错误! 状态: ${response.status}`);
+
+        const data = await response.json();
+        const uptime = data.overall['24h'];
+        const incidents = data.servers.reduce((sum, server) => sum + server.incidents24h, 0);
+
+        element.textContent = formatUptime(uptime);
+        element.className = `stat-value ${getUptimeClass(uptime)}`;
+        element.title = [
+            ...Object.entries(UPTIME_WINDOWS).map(([key, label]) => `${label}: ${formatUptime(data.overall[key])}`),
+            `最近24小时故障: ${incidents} 次`
+        ].join('\n');
+    } catch (error) {
+        console.error('❌ 加载可用率失败:', error);
+    }
+}
+
+/**
+ * 加载服务器可用率及故障记录
+ */
+async function loadServerUptime(serverId) {
+    const container = document.getElementById('detailUptime');
+    if (!container) return;
+
+    try {
+        const response = await apiFetch(`/api/server/${serverId}/uptime`);
+        if (!response.ok) throw new Error(`HTTP错误! 状态: ${response.status}`);
+
+        const data = await response.json();
+        if (detailServerId != serverId) return;
+
+        container.innerHTML = `
+            <h3 class="detail-section-title">可用率</h3>
+            <div class="detail-uptime">
+                ${Object.entries(UPTIME_WINDOWS).map(([key, label]) => `
+                    <div class="detail-uptime-item">
+                        <div class="stat-value ${getUptimeClass(data.uptime[key])}">${formatUptime(data.uptime[key])}</div>
+                        <div class="stat-label">${label}</div>
+                    </div>
+                `).join('')}
+            </div>
+
+            <h3 class="detail-section-title">故障记录</h3>
+            ${data.incidents.length > 0 ? `
+                <ul class="detail-errors">
+                    ${data.incidents.map(incident => `
+                        <li title="${escapeHtml(incident.error || '')}">
+                            <span class="detail-muted">${new Date(incident.start).toLocaleString()}</span>
+                            <span class="detail-offline">${escapeHtml(incident.reason)}</span>
+                            <span>${incident.ongoing ? '持续中，已' : '持续'} ${formatDuration(incident.duration)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<div class="no-players">暂无故障记录</div>'}
+        `;
+    } catch (error) {
+        console.error('❌ 加载可用率失败:', error);
+        container.innerHTML = `<div class="no-players">加载可用率失败: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 生成状态徽章与嵌入组件的引用代码
+ */
+function renderEmbedCodes(serverId) {
+    const container = document.getElementById('detailEmbed');
+    if (!container) return;
+
+    const base = `${location.origin}/api/server/${serverId}`;
+    const codes = [
+        { label: '状态徽章 (Markdown)', code: `![服务器状态](${base}/badge.svg)` },
+        { label: '玩家数徽章 (Markdown)', code: `![在线玩家](${base}/badge.svg?type=players)` },
+        { label: '版本徽章 (Markdown)', code: `![服务器版本](${base}/badge.svg?type=version)` },
+        { label: '状态组件 (HTML)', code: `<iframe src="${base}/widget" width="360" height="100" frameborder="0"></iframe>` }
+    ];
+
+    container.innerHTML = `
+        <h3 class="detail-section-title">嵌入代码</h3>
+        <div class="detail-embed-preview">
+            <img src="${base}/badge.svg" alt="状态徽章">
+            <img src="${base}/badge.svg?type=players" alt="玩家数徽章">
+            <img src="${base}/badge.svg?type=version" alt="版本徽章">
+        </div>
+        ${codes.map(item => `
+            <label class="detail-embed-item">
+                <span class="detail-muted">${item.label}</span>
+                <input type="text" readonly value="${escapeHtml(item.code)}" onfocus="this.select()">
+            </label>
+        `).join('')}
+    `;
+}
+
+/**
+ * 格式化可用率
+ */
+function formatUptime(uptime) {
+    if (uptime === null || uptime === undefined) return '-';
+    return `${(uptime * 100).toFixed(uptime === 1 ? 0 : 2)}%`;
+}
+
+/**
+ * 可用率对应的颜色样式
+ */
+function getUptimeClass(uptime) {
+    if (uptime === null || uptime === undefined) return '';
+    if (uptime >= 0.99) return 'online';
+    if (uptime >= 0.95) return 'warning';
+    return 'offline';
+}
+
+/**
+ * 加载服务器最近出现的玩家及其会话
+ */
+async function loadRecentPlayers(serverId) {
+    const container = document.getElementById('detailPlayers');
+    if (!container) return;
+
+    try {
+        const response = await apiFetch(`/api/server/${serverId}/players`);
+        if (!response.ok) throw new Error(`HTTP错误! 状态: ${response.status}`);
+
+        const data = await response.json();
+        if (detailServerId != serverId) return;
+
+        container.innerHTML = `
+            <h3 class="detail-section-title">最近玩家</h3>
+            ${data.players.length > 0 ? `
+                <table class="detail-table">
+                    ${data.players.map(player => `
+                        <tr>
+                            <th title="${escapeHtml(player.uuid || '')}">${escapeHtml(player.name)}</th>
+                            <td>
+                                ${player.active
+                                    ? '<span class="detail-online">在线</span>'
+                                    : `<span class="detail-muted">最后在线</span> ${formatLastSeen(player.lastSeen)}`}
+                                <span class="detail-muted">(本次 ${formatDuration(player.duration)})</span>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </table>
+            ` : '<div class="no-players">暂无玩家记录</div>'}
+        `;
+    } catch (error) {
+        console.error('❌ 加载最近玩家失败:', error);
+        container.innerHTML = `<div class="no-players">加载最近玩家失败: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 加载最近的状态历史，绘制图表与错误记录
+ */
+async function loadServerHistory(serverId) {
+    const container = document.getElementById('detailHistory');
+    if (!container) return;
+
+    container.innerHTML = '<div class="detail-loading"><div class="spinner"></div></div>';
+
+    try {
+        const from = Date.now() - DETAIL_HISTORY_RANGE;
+        const response = await apiFetch(`/api/server/${serverId}/history?from=${from}`);
+        if (!response.ok) throw new Error(`HTTP错误! 状态: ${response.status}`);
+
+        const history = await response.json();
+        if (detailServerId != serverId) return;
+
+        const latency = history.points.filter(p => p.latency !== null).map(p => ({ t: p.t, value: p.latency }));
+        const players = history.points.filter(p => p.online).map(p => ({ t: p.t, value: p.players }));
+
+        container.innerHTML = `
+            <h3 class="detail-section-title">延迟 (最近24小时)</h3>
+            ${createLineChart(latency, { color: 'var(--info)', unit: 'ms' })}
+
+            <h3 class="detail-section-title">在线玩家 (最近24小时)</h3>
+            ${createLineChart(players, { color: 'var(--success)', unit: '' })}
+
+            <h3 class="detail-section-title">错误记录</h3>
+            ${history.errors.length > 0 ? `
+                <ul class="detail-errors">
+                    ${history.errors.map(item => `
+                        <li>
+                            <span class="detail-muted">${new Date(item.t).toLocaleString()}</span>
+                            ${escapeHtml(item.error)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<div class="no-players">最近24小时没有错误</div>'}
+        `;
+    } catch (error) {
+        console.error('❌ 加载状态历史失败:', error);
+        container.innerHTML = `<div class="no-players">加载状态历史失败: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 生成折线图SVG
+ */
+function createLineChart(points, options) {
+    if (points.length < 2) {
+        return '<div class="no-players">数据不足</div>';
+    }
+
+    const width = 600;
+    const height = 120;
+    const padding = 4;
+    const minT = points[0].t;
+    const maxT = points[points.length - 1].t;
+    const values = points.map(p => p.value);
+    const maxValue = Math.max(...values, 1);
+    const minValue = Math.min(...values, 0);
+
+    const x = t => padding + (t - minT) / Math.max(maxT - minT, 1) * (width - padding * 2);
+    const y = v => height - padding - (v - minValue) / Math.max(maxValue - minValue, 1) * (height - padding * 2);
+
+    const line = points.map(p => `${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+    const area = `${x(minT).toFixed(1)},${height - padding} ${line} ${x(maxT).toFixed(1)},${height - padding}`;
+
+    return `
+        <div class="detail-chart">
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polygon points="${area}" style="fill: ${options.color}; opacity: 0.12"></polygon>
+                <polyline points="${line}" style="stroke: ${options.color}" fill="none" stroke-width="2" vector-effect="non-scaling-stroke"></polyline>
+            </svg>
+            <div class="detail-chart-legend">
+                <span>最小 ${Math.min(...values)}${options.unit}</span>
+                <span>最大 ${Math.max(...values)}${options.unit}</span>
+                <span>${new Date(minT).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })} - ${new Date(maxT).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })}</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * 刷新详情面板中的服务器
+ */
+async function refreshServerDetail() {
+    if (detailServerId === null) return;
+
+    const serverId = detailServerId;
+    await refreshServer(serverId);
+
+    const server = serversData?.servers?.find(s => s.id == serverId);
+    if (server && detailServerId == serverId) {
+        renderServerDetail(server);
+        loadServerHistory(serverId);
+        loadServerUptime(serverId);
+        loadRecentPlayers(serverId);
+    }
+}
+
+/**
+ * 从详情面板删除服务器
+ */
+async function deleteServerFromDetail() {
+    const server = serversData?.servers?.find(s => s.id == detailServerId);
+    if (!server) return;
+
+    if (await deleteServer(server.id, server.name)) {
+        closeServerDetail();
+    }
+}
+
+/**
+ * 显示Toast消息
+ */
+function showToast(message, type = 'info', duration = 3000) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+
+    // 清除之前的toast
+    toast.className = 'toast';
+    void toast.offsetWidth; // 触发重排
+
+    // 设置新内容 (消息可能包含服务器名称等用户输入，只能作为文本插入)
+    toast.textContent = message;
+    toast.className = `toast ${type} show`;
+
+    // 添加图标
+    const icons = {
+        success: 'fas fa-check-circle',
+        error: 'fas fa-exclamation-circle',
+        info: 'fas fa-info-circle'
+    };
+
+    if (icons[type]) {
+        const icon = document.createElement('i');
+        icon.className = icons[type];
+        toast.prepend(icon, ' ');
+    }
+
+    // 自动隐藏
+    setTimeout(() => {
+        toast.classList.remove('show');
+    }, duration);
+}
+
+/**
+ * 显示/隐藏加载状态
+ */
+function showLoading(show) {
+    const loadingElement = document.getElementById('loading');
+    if (!loadingElement) return;
+
+    if (show) {
+        loadingElement.style.display = 'block';
+    } else {
+        loadingElement.style.display = 'none';
+    }
+}
+
+/**
+ * 订阅服务器状态推送，连接断开期间回退到轮询
+ */
+function startLiveUpdates() {
+    if (!window.EventSource) {
+        console.log('⚠️ 浏览器不支持实时推送，使用定时刷新');
+        startAutoRefresh();
+        return;
+    }
+
+    if (eventSource) {
+        eventSource.close();
+    }
+
+    // EventSource无法设置请求头，令牌通过查询参数传递
+    eventSource = new EventSource(authToken ? `/api/stream?token=${encodeURIComponent(authToken)}` : '/api/stream');
+
+    eventSource.addEventListener('open', () => {
+        console.log('📡 实时推送已连接');
+        streamRetryDelay = STREAM_RETRY_MIN;
+        stopAutoRefresh();
+    });
+
+    // 连接建立时服务端发送的完整列表
+    eventSource.addEventListener('snapshot', (event) => {
+        const data = JSON.parse(event.data);
+        serversData = data;
+        updateDashboard(data);
+        renderServerList(data.servers);
+    });
+
+    eventSource.addEventListener('server', (event) => {
+        applyServerUpdate(JSON.parse(event.data));
+    });
+
+    eventSource.addEventListener('error', () => {
+        // 断线期间使用轮询保持数据更新
+        if (!autoRefreshInterval) {
+            console.log('⚠️ 实时推送连接中断，切换为定时刷新');
+            startAutoRefresh();
+        }
+
+        // 浏览器放弃自动重连时，按指数退避手动重连
+        if (eventSource && eventSource.readyState === EventSource.CLOSED) {
+            eventSource = null;
+            clearTimeout(streamRetryTimer);
+            streamRetryTimer = setTimeout(startLiveUpdates, streamRetryDelay);
+            streamRetryDelay = Math.min(streamRetryDelay * 2, STREAM_RETRY_MAX);
+        }
+    });
+}
+
+/**
+ * 实时推送是否已连接
+ */
+function isStreaming() {
+    return !!eventSource && eventSource.readyState === EventSource.OPEN;
+}
+
+/**
+ * 启动自动刷新
+ */
+function startAutoRefresh(interval = 30000) {
+    if (autoRefreshInterval) {
+        clearInterval(autoRefreshInterval);
+    }
+
+    autoRefreshInterval = setInterval(() => {
+        if (!isRefreshing && document.visibilityState === 'visible') {
+            loadServers();
+        }
+    }, interval);
+
+    console.log(`🔄 自动刷新已启动 (${interval / 1000}秒)`);
+}
+
+/**
+ * 停止自动刷新
+ */
+function stopAutoRefresh() {
+    if (autoRefreshInterval) {
+        clearInterval(autoRefreshInterval);
+        autoRefreshInterval = null;
+    }
+}
+
+/**
+ * 格式化延迟 (优先使用Ping/Pong往返延迟)
+ */
+function formatLatency(server) {
+    const latency = server.latency ?? server.ping;
+    return latency ? latency + 'ms' : '-';
+}
+
+/**
+ * 延迟提示信息: 连接耗时及多次采样统计
+ */
+function formatLatencyTitle(server) {
+    const parts = [];
+    if (server.ping) parts.push(`连接耗时 ${server.ping}ms`);
+
+    const stats = server.latencyStats;
+    if (stats && stats.samples.length > 1) {
+        parts.push(`最小 ${stats.min}ms / 平均 ${stats.avg}ms / 抖动 ${stats.jitter}ms (${stats.samples.length}次采样)`);
+    }
+
+    return parts.join('\n');
+}
+
+/**
+ * 格式化时长
+ */
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return '不足1分钟';
+    if (minutes < 60) return `${minutes}分钟`;
+
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 > 0 ? `${hours}小时${minutes % 60}分钟` : `${hours}小时`;
+}
+
+/**
+ * 格式化最后在线时间，超过一天显示完整日期
+ */
+function formatLastSeen(timestamp) {
+    return Date.now() - new Date(timestamp) < 24 * 60 * 60 * 1000
+        ? formatRelativeTime(timestamp)
+        : new Date(timestamp).toLocaleString();
+}
+
+/**
+ * 格式化相对时间
+ */
+function formatRelativeTime(timestamp) {
+    const date = new Date(timestamp);
+    const now = new Date();
+    const diffMs = now - date;
+    const diffSec = Math.floor(diffMs / 1000);
+    const diffMin = Math.floor(diffSec / 60);
+    const diffHour = Math.floor(diffMin / 60);
+
+    if (diffSec < 10) return '刚刚';
+    if (diffSec < 60) return `${diffSec}秒前`;
+    if (diffMin < 60) return `${diffMin}分钟前`;
+    if (diffHour < 24) return `${diffHour}小时前`;
+
+    return date.toLocaleTimeString('zh-CN', {
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * HTML转义，同时转义引号，结果可以安全地用于属性值
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * 导出服务器列表
+ */
+function exportServers() {
+    if (!serversData?.servers) {
+        showToast('没有可导出的服务器数据', 'error');
+        return;
+    }
+
+    const dataStr = JSON.stringify(serversData.servers, null, 2);
     const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
 
     const exportFileDefaultName = `minecraft-servers-${new Date().toISOString().split('T')[0]}.json`;
@@ -949,12 +2078,12 @@ function exportServers() {
 }
 
 /**
- * 导入服务器列表
+ * 选择JSON或CSV文件并预览导入结果
  */
 function importServers() {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.json';
+    input.accept = '.json,.csv';
 
     input.onchange = async (e) => {
         const file = e.target.files[0];
@@ -962,15 +2091,11 @@ function importServers() {
 
         try {
             const text = await file.text();
-            const servers = JSON.parse(text);
-
-            if (!Array.isArray(servers)) {
-                throw new Error('文件格式错误');
-            }
-
-            // 这里应该实现导入逻辑
-            showToast('导入功能开发中...', 'info');
+            const isCsv = /\.csv$/i.test(file.name) || !/^\s*[\[{]/.test(text);
 
+            importData = { name: file.name, format: isCsv ? 'csv' : 'json', data: text };
+            showImportModal();
+            await previewImport();
         } catch (error) {
             console.error('❌ 导入失败:', error);
             showToast(`导入失败: ${error.message}`, 'error');
@@ -980,10 +2105,353 @@ function importServers() {
     input.click();
 }
 
+/**
+ * 显示导入预览框
+ */
+function showImportModal() {
+    const modal = document.getElementById('importModal');
+    if (!modal) return;
+
+    document.getElementById('importTitle').textContent = `导入服务器 - ${importData.name}`;
+    document.querySelector('input[name="importMode"][value="merge"]').checked = true;
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * 隐藏导入预览框
+ */
+function hideImportModal() {
+    const modal = document.getElementById('importModal');
+    if (!modal) return;
+
+    modal.classList.remove('show');
+    importData = null;
+    document.getElementById('importPreview').innerHTML = '';
+    restoreBodyScroll();
+}
+
+/**
+ * 获取选中的导入方式
+ */
+function getImportMode() {
+    return document.querySelector('input[name="importMode"]:checked')?.value || 'merge';
+}
+
+/**
+ * 提交导入请求，dryRun为true时只生成预览
+ */
+async function submitImport(dryRun) {
+    const response = await apiFetch('/api/servers/import', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...importData, mode: getImportMode(), dryRun })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || `HTTP错误! 状态: ${response.status}`);
+    }
+    return result;
+}
+
+/**
+ * 生成导入预览
+ */
+async function previewImport() {
+    if (!importData) return;
+
+    const container = document.getElementById('importPreview');
+    const confirmButton = document.getElementById('importConfirm');
+    container.innerHTML = '<div class="detail-loading"><div class="spinner"></div></div>';
+    confirmButton.disabled = true;
+
+    try {
+        const preview = await submitImport(true);
+        renderImportPreview(preview);
+
+        const { add, update, remove } = preview.summary;
+        confirmButton.disabled = add + update + remove === 0;
+    } catch (error) {
+        console.error('❌ 生成导入预览失败:', error);
+        container.innerHTML = `<div class="no-players">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * 渲染导入预览
+ */
+function renderImportPreview(preview) {
+    const container = document.getElementById('importPreview');
+    const { summary } = preview;
+
+    const describeRow = (row) => {
+        if (row.action === 'error') {
+            return Object.entries(row.errors).map(([field, message]) =>
+                `${escapeHtml(ServerSchema.SERVER_FIELDS[field]?.label || field)}: ${escapeHtml(message)}`).join('<br>');
+        }
+        if (row.action === 'duplicate') return `与第 ${row.duplicateOf} 行地址相同，已跳过`;
+        if (row.action === 'update') return `修改: ${escapeHtml(row.changes.join(', '))}`;
+        return escapeHtml(row.key || '');
+    };
+
+    container.innerHTML = `
+        <div class="import-summary">
+            <span class="import-add">新增 ${summary.add}</span>
+            <span class="import-update">更新 ${summary.update}</span>
+            <span class="import-unchanged">无变化 ${summary.unchanged}</span>
+            <span class="import-duplicate">重复 ${summary.duplicate}</span>
+            <span class="import-error">错误 ${summary.error}</span>
+            ${preview.mode === 'replace' ? `<span class="import-error">删除 ${summary.remove}</span>` : ''}
+        </div>
+
+        <div class="import-table-wrapper">
+            <table class="detail-table">
+                <tr><th>行</th><th>名称</th><th>操作</th><th>详情</th></tr>
+                ${preview.rows.map(row => `
+                    <tr>
+                        <td>${row.row}</td>
+                        <td>${escapeHtml(row.name || '-')}</td>
+                        <td><span class="${IMPORT_ACTIONS[row.action].className}">${IMPORT_ACTIONS[row.action].label}</span></td>
+                        <td>${describeRow(row)}</td>
+                    </tr>
+                `).join('')}
+                ${preview.removed.map(server => `
+                    <tr>
+                        <td>-</td>
+                        <td>${escapeHtml(server.name)}</td>
+                        <td><span class="import-error">删除</span></td>
+                        <td>${escapeHtml(server.key)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * 确认导入
+ */
+async function confirmImport() {
+    if (!importData) return;
+
+    const confirmButton = document.getElementById('importConfirm');
+    confirmButton.disabled = true;
+
+    try {
+        const result = await submitImport(false);
+        const { add, update, remove, error } = result.summary;
+
+        hideImportModal();
+        showToast(`✅ 导入完成: 新增 ${add}，更新 ${update}` +
+            (remove > 0 ? `，删除 ${remove}` : '') +
+            (error > 0 ? `，${error} 行有错误已跳过` : ''), 'success');
+
+        loadServers();
+    } catch (error) {
+        console.error('❌ 导入失败:', error);
+        showToast(`导入失败: ${error.message}`, 'error');
+        confirmButton.disabled = false;
+    }
+}
+
+/**
+ * 发送API请求，自动附带登录令牌，未登录或登录过期时弹出登录框
+ */
+async function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+    }
+
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401) {
+        if (authToken) {
+            setAuthToken(null);
+            currentUser = null;
+            updateAuthUI();
+        }
+        showLoginModal();
+    } else if (response.status === 403) {
+        showToast('权限不足', 'error');
+    }
+
+    return response;
+}
+
+/**
+ * 保存或清除登录令牌
+ */
+function setAuthToken(token) {
+    authToken = token;
+    if (token) {
+        localStorage.setItem('authToken', token);
+    } else {
+        localStorage.removeItem('authToken');
+    }
+}
+
+/**
+ * 获取当前登录状态
+ */
+async function checkAuth() {
+    try {
+        const response = await fetch('/api/auth/me', {
+            headers: authToken ? { 'Authorization': `Bearer ${authToken}` } : {}
+        });
+        const data = await response.json();
+
+        currentUser = data.user;
+        if (!currentUser && authToken) {
+            // 令牌已失效
+            setAuthToken(null);
+        }
+        updateAuthUI();
+
+        if (!currentUser && !data.publicRead) {
+            showLoginModal();
+        }
+    } catch (error) {
+        console.error('❌ 获取登录状态失败:', error);
+    }
+}
+
+/**
+ * 当前用户是否拥有editor及以上角色
+ */
+function canEdit() {
+    return currentUser?.role === 'editor' || currentUser?.role === 'admin';
+}
+
+/**
+ * 根据登录用户的角色更新页面
+ */
+function updateAuthUI() {
+    document.body.classList.toggle('role-editor', canEdit());
+    document.body.classList.toggle('role-admin', currentUser?.role === 'admin');
+
+    const status = document.getElementById('authStatus');
+    if (!status) return;
+
+    status.innerHTML = currentUser ? `
+        <span class="auth-user" title="角色: ${escapeHtml(currentUser.role)}">
+            <i class="fas fa-user-circle"></i> ${escapeHtml(currentUser.username)}
+        </span>
+        <button class="btn btn-outline" onclick="logout()">
+            <i class="fas fa-sign-out-alt"></i> 退出
+        </button>
+    ` : `
+        <button class="btn btn-outline" onclick="showLoginModal()">
+            <i class="fas fa-sign-in-alt"></i> 登录
+        </button>
+    `;
+}
+
+/**
+ * 显示登录框
+ */
+function showLoginModal() {
+    const modal = document.getElementById('loginModal');
+    if (!modal || modal.classList.contains('show')) return;
+
+    document.getElementById('loginError').classList.remove('show');
+    modal.classList.add('show');
+    document.body.style.overflow = 'hidden';
+    document.getElementById('loginUsername').focus();
+}
+
+/**
+ * 隐藏登录框
+ */
+function hideLoginModal() {
+    const modal = document.getElementById('loginModal');
+    if (!modal) return;
+
+    modal.classList.remove('show');
+    document.getElementById('loginForm').reset();
+    restoreBodyScroll();
+}
+
+/**
+ * 登录
+ */
+async function login(event) {
+    event.preventDefault();
+
+    const errorElement = document.getElementById('loginError');
+    const showError = (message) => {
+        errorElement.textContent = message;
+        errorElement.classList.add('show');
+    };
+    errorElement.classList.remove('show');
+
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('loginUsername').value.trim(),
+                password: document.getElementById('loginPassword').value
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            showError(data.error || `登录失败 (${response.status})`);
+            return;
+        }
+
+        setAuthToken(data.token);
+        currentUser = data.user;
+        updateAuthUI();
+        hideLoginModal();
+        showToast(`✅ 欢迎，${data.user.username}`, 'success');
+
+        // 使用新令牌重新加载数据并重连实时推送
+        loadServers();
+        startLiveUpdates();
+    } catch (error) {
+        showError('登录失败: ' + error.message);
+    }
+}
+
+/**
+ * 退出登录
+ */
+async function logout() {
+    try {
+        await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('❌ 退出登录失败:', error);
+    }
+
+    setAuthToken(null);
+    currentUser = null;
+    updateAuthUI();
+    showToast('已退出登录', 'info');
+
+    loadServers();
+    startLiveUpdates();
+}
+
 // 暴露必要的函数到全局作用域
 window.showAddServerModal = showAddServerModal;
 window.hideAddServerModal = hideAddServerModal;
 window.refreshAllServers = refreshAllServers;
 window.loadServers = loadServers;
 window.exportServers = exportServers;
-window.importServers = importServers;
\ No newline at end of file
+window.importServers = importServers;
+window.hideImportModal = hideImportModal;
+window.confirmImport = confirmImport;
+window.showRconConsole = showRconConsole;
+window.viewServerDetail = viewServerDetail;
+window.closeServerDetail = closeServerDetail;
+window.showEditServerModal = showEditServerModal;
+window.hideRconConsole = hideRconConsole;
+window.filterModList = filterModList;
+window.showLoginModal = showLoginModal;
+window.hideLoginModal = hideLoginModal;
+window.logout = logout;
\ No newline at end of file
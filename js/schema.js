@@ -0,0 +1,170 @@
+/**
+ * Minecraft 服务器监控面板 - 服务器配置Schema
+ * 前端表单与后端接口共用同一份字段定义和校验规则
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ServerSchema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // 支持的服务器类型
+    const SERVER_TYPES = {
+        java: { defaultPort: 25565 },
+        bedrock: { defaultPort: 19132 }
+    };
+
+    // 服务器配置字段，default可以是根据已校验字段计算默认值的函数
+    // 可选字段传入空字符串或null表示清除该字段 (rconPassword为null时删除RCON配置)，
+    // nullable为false的字段不允许清除
+    const SERVER_FIELDS = {
+        name: { type: 'string', label: '服务器名称', required: true, maxLength: 50 },
+        address: { type: 'address', label: '服务器地址', required: true, maxLength: 253 },
+        type: { type: 'enum', label: '服务器类型', values: Object.keys(SERVER_TYPES), default: 'java' },
+        port: { type: 'port', label: '端口', nullable: false, default: (entry) => SERVER_TYPES[entry.type]?.defaultPort },
+        category: { type: 'string', label: '分类', maxLength: 20, default: '未分类' },
+        description: { type: 'string', label: '描述', maxLength: 200, default: '' },
+        query: { type: 'boolean', label: 'Query' },
+        queryPort: { type: 'port', label: 'Query端口' },
+        pollInterval: { type: 'integer', label: '轮询间隔', min: 5, max: 86400 },
+        rconPort: { type: 'port', label: 'RCON端口' },
+        rconPassword: { type: 'string', label: 'RCON密码', maxLength: 128, trim: false }
+    };
+
+    // 由服务端维护、不允许客户端提交的字段
+    const PROTECTED_FIELDS = ['id', 'rcon', 'rconEnabled'];
+
+    // 地址格式: 域名、IPv4、localhost或无后缀的主机名
+    const ADDRESS_PATTERNS = [
+        /^[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/,
+        /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/,
+        /^localhost$/,
+        /^[a-zA-Z0-9\-_]+$/
+    ];
+
+    /**
+     * 检查服务器地址格式
+     */
+    function isValidAddress(address) {
+        return ADDRESS_PATTERNS.some(pattern => pattern.test(address));
+    }
+
+    /**
+     * 按字段定义转换并校验单个值，返回 { value } 或 { error }
+     */
+    function coerceField(field, raw) {
+        switch (field.type) {
+            case 'string':
+            case 'address': {
+                if (typeof raw !== 'string' && typeof raw !== 'number') {
+                    return { error: `${field.label}必须是字符串` };
+                }
+                const value = field.trim === false ? String(raw) : String(raw).trim();
+                if (field.maxLength && value.length > field.maxLength) {
+                    return { error: `${field.label}不能超过${field.maxLength}个字符` };
+                }
+                if (field.type === 'address' && !isValidAddress(value)) {
+                    return { error: `请输入有效的${field.label}` };
+                }
+                return { value };
+            }
+
+            case 'enum':
+                if (!field.values.includes(raw)) {
+                    return { error: `${field.label}必须是 ${field.values.join(' / ')} 之一` };
+                }
+                return { value: raw };
+
+            case 'boolean':
+                if (raw === true || raw === 'true' || raw === 'on' || raw === 1 || raw === '1') return { value: true };
+                if (raw === false || raw === 'false' || raw === 'off' || raw === 0 || raw === '0') return { value: false };
+                return { error: `${field.label}必须是布尔值` };
+
+            case 'port':
+            case 'integer': {
+                const value = typeof raw === 'string' && /^\s*-?\d+\s*$/.test(raw) ? parseInt(raw, 10) : raw;
+                if (!Number.isInteger(value)) {
+                    return { error: `${field.label}必须是整数` };
+                }
+
+                const min = field.type === 'port' ? 1 : field.min;
+                const max = field.type === 'port' ? 65535 : field.max;
+                if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+                    return { error: `${field.label}必须在 ${min}-${max} 之间` };
+                }
+                return { value };
+            }
+
+            default:
+                return { error: `${field.label}类型未知` };
+        }
+    }
+
+    /**
+     * 校验服务器配置
+     * partial为true时用于更新: 只校验提交的字段，不检查必填项，
+     * 被清除的可选字段恢复默认值，没有默认值的以null表示
+     * 返回 { value, errors }，errors以字段名为键，校验通过时为null
+     */
+    function validateServerEntry(input, options = {}) {
+        const partial = !!options.partial;
+        const errors = {};
+        const value = {};
+
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return { value: null, errors: { _: '服务器配置必须是对象' } };
+        }
+
+        for (const key of Object.keys(input)) {
+            if (PROTECTED_FIELDS.includes(key)) {
+                errors[key] = '该字段不允许修改';
+            } else if (!Object.prototype.hasOwnProperty.call(SERVER_FIELDS, key)) {
+                errors[key] = '未知字段';
+            }
+        }
+
+        for (const [key, field] of Object.entries(SERVER_FIELDS)) {
+            const raw = input[key];
+
+            if (raw === undefined || raw === null || raw === '') {
+                const defaultValue = typeof field.default === 'function' ? field.default(value) : field.default;
+
+                if (field.required && (!partial || raw !== undefined)) {
+                    errors[key] = `请输入${field.label}`;
+                } else if (partial && raw !== undefined) {
+                    if (field.nullable === false) {
+                        errors[key] = `请输入${field.label}`;
+                    } else {
+                        value[key] = defaultValue !== undefined ? defaultValue : null;
+                    }
+                } else if (!partial && defaultValue !== undefined) {
+                    value[key] = defaultValue;
+                }
+                continue;
+            }
+
+            const result = coerceField(field, raw);
+            if (result.error) {
+                errors[key] = result.error;
+            } else {
+                value[key] = result.value;
+            }
+        }
+
+        return {
+            value,
+            errors: Object.keys(errors).length > 0 ? errors : null
+        };
+    }
+
+    return {
+        SERVER_TYPES,
+        SERVER_FIELDS,
+        PROTECTED_FIELDS,
+        isValidAddress,
+        validateServerEntry
+    };
+});
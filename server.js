@@ -5,22 +5,29 @@ const path = require('path');
 const util = require('util');
 const dns = require('dns');
 const net = require('net');
+const dgram = require('dgram');
 const crypto = require('crypto');
+const EventEmitter = require('events');
+const { SERVER_FIELDS, validateServerEntry } = require('./js/schema');
+const { createServerStore, writeFileAtomic } = require('./storage');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// 允许跨域访问的来源 (逗号分隔)，未配置时仅允许同源访问
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // 中间件
-app.use(cors());
-app.use(express.json());
-app.use(express.static('.'));
-
-// 缓存配置
-let serverCache = {
-    data: {},
-    lastUpdated: 0,
-    ttl: 30000 // 30秒缓存
-};
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false }));
+app.use(express.json({ limit: '5mb' })); // 批量导入需要较大的请求体
+
+// 只公开前端文件，配置和数据文件不能被直接下载
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.use('/css', express.static(path.join(__dirname, 'css')));
+app.use('/js', express.static(path.join(__dirname, 'js')));
+
+// SRV查询使用独立的解析器，避免DNS无响应时长时间阻塞查询
+const srvResolver = new dns.Resolver({ timeout: 2000, tries: 2 });
 
 // 解析DNS
 async function resolveHostname(hostname) {
@@ -32,30 +39,115 @@ async function resolveHostname(hostname) {
     });
 }
 
-// 从文件读取服务器列表
-async function getServerList() {
-    try {
-        const data = await fs.readFile('servers.json', 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('读取服务器列表失败:', error);
-        return [];
-    }
+// 解析SRV记录，未找到时返回null
+async function resolveSrvRecord(hostname) {
+    // IP地址不存在SRV记录
+    if (net.isIP(hostname)) return null;
+
+    return new Promise((resolve) => {
+        srvResolver.resolveSrv(`_minecraft._tcp.${hostname}`, (err, records) => {
+            if (err || !records || records.length === 0) {
+                resolve(null);
+                return;
+            }
+
+            // 按优先级升序、权重降序选择目标
+            const [record] = records.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+            resolve({ name: record.name, port: record.port });
+        });
+    });
 }
 
-// 保存服务器列表到文件
-async function saveServerList(servers) {
-    try {
-        await fs.writeFile('servers.json', JSON.stringify(servers, null, 2));
-        return true;
-    } catch (error) {
-        console.error('保存服务器列表失败:', error);
-        return false;
+// 服务器列表存储配置
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json'; // json、memory或自定义后端模块路径
+const SERVERS_FILE = process.env.SERVERS_FILE || 'servers.json';
+const SERVERS_SEED_FILE = process.env.SERVERS_SEED_FILE || 'server.json'; // 首次运行时导入的示例列表
+
+const serverStore = createServerStore({
+    type: STORAGE_BACKEND,
+    file: SERVERS_FILE,
+    seedFile: SERVERS_SEED_FILE
+});
+
+const serverStoreReady = serverStore.init().then(({ seeded, migrated, reassigned, count }) => {
+    if (seeded) console.log(`📋 已使用 ${SERVERS_SEED_FILE} 初始化服务器列表 (${count}个服务器)`);
+    if (migrated) console.log(`📋 服务器列表已迁移为新格式`);
+    for (const { from, to, name } of reassigned) {
+        const reason = from === undefined ? '缺少ID' : `ID ${JSON.stringify(from)} 无效或重复`;
+        console.log(`⚠️ 服务器 "${name}" ${reason}，已重新分配为 ${to}`);
     }
+});
+
+// 服务器列表无法加载时不能继续运行，否则后续保存会覆盖原有配置
+serverStoreReady.catch(error => {
+    console.error('❌ 加载服务器列表失败:', error.message);
+    process.exit(1);
+});
+
+// 获取服务器列表 (副本)
+async function getServerList() {
+    await serverStoreReady;
+    return serverStore.getAll();
 }
 
+// 串行修改服务器列表，mutator返回false时不保存
+// 新服务器的ID通过 mutator 第二个参数的 allocateId() 分配，保证唯一且不会重复使用
+async function updateServerList(mutator) {
+    await serverStoreReady;
+    return serverStore.update(mutator);
+}
+
+// Ping测量配置
+const PONG_TIMEOUT = 2000; // 等待Pong的超时时间
+const MAX_PING_SAMPLES = 10;
+
+// 现代协议查询失败后不回退到旧版Ping的错误类型
+// 连接被拒绝时旧版Ping同样无法成功，超时时再次查询只会让总耗时翻倍
+const LEGACY_SKIP_ERRORS = ['timeout', 'connection_refused'];
+
 // 增强的Minecraft服务器查询函数
-async function queryMinecraftServer(host, port = 25565, name) {
+// 现代协议查询失败但能建立连接时，回退到1.6及更早版本的旧版Ping
+async function queryMinecraftServer(host, port = 25565, name, options = {}) {
+    const result = await queryModernServer(host, port, name, options);
+
+    // 未能建立TCP连接时，旧版Ping同样无法成功
+    if (result.online || result.ping === null || LEGACY_SKIP_ERRORS.includes(classifyQueryError(result))) {
+        return result;
+    }
+
+    const { ip, port: targetPort } = result.resolved;
+    const legacy = await queryLegacyServer(ip, targetPort, host) ||
+                   await queryLegacyServer(ip, targetPort, host, { beta: true });
+
+    if (!legacy) {
+        return result;
+    }
+
+    return {
+        ...result,
+        online: true,
+        error: null,
+        errorCode: undefined,
+        legacy: true,
+        version: legacy.version || 'Unknown',
+        protocol: legacy.protocol,
+        players: {
+            online: legacy.players.online,
+            max: legacy.players.max,
+            sample: []
+        },
+        description: parseMotd(legacy.motd || 'A Minecraft Server').text,
+        motd: parseMotd(legacy.motd || 'A Minecraft Server'),
+        favicon: null,
+        ping: legacy.ping,
+        latency: legacy.latency,
+        latencyStats: undefined
+    };
+}
+
+// 现代协议 (1.7+) 状态查询
+// options.pingSamples: Ping/Pong采样次数，大于1时额外建立连接进行测量
+async function queryModernServer(host, port = 25565, name, options = {}) {
     return new Promise(async (resolve) => {
         const startTime = Date.now();
         const timeout = 5000; // 5秒超时
@@ -64,12 +156,21 @@ async function queryMinecraftServer(host, port = 25565, name) {
 
         socket.setTimeout(timeout);
 
+        // 优先解析SRV记录 (_minecraft._tcp.<host>)
+        let targetHost = host;
+        let targetPort = port;
+        const srvRecord = await resolveSrvRecord(host);
+        if (srvRecord) {
+            targetHost = srvRecord.name;
+            targetPort = srvRecord.port;
+        }
+
         // 解析主机名
-        let serverAddress = host;
+        let serverAddress = targetHost;
         try {
-            serverAddress = await resolveHostname(host);
+            serverAddress = await resolveHostname(targetHost);
         } catch (err) {
-            console.log(`DNS解析失败: ${host}`);
+            console.log(`DNS解析失败: ${targetHost}`);
         }
 
         const responseData = {
@@ -81,7 +182,13 @@ async function queryMinecraftServer(host, port = 25565, name) {
             error: null,
             lastUpdated: new Date().toISOString(),
             ping: null,
-            latency: null
+            latency: null,
+            resolved: {
+                srv: !!srvRecord,
+                host: targetHost,
+                ip: serverAddress,
+                port: targetPort
+            }
         };
 
         const timeoutId = setTimeout(() => {
@@ -94,46 +201,72 @@ async function queryMinecraftServer(host, port = 25565, name) {
             }
         }, timeout + 1000);
 
-        socket.on('connect', () => {
-            responseData.ping = Date.now() - startTime;
+        const pingSamples = Math.min(Math.max(parseInt(options.pingSamples) || 1, 1), MAX_PING_SAMPLES);
+        let statusReceived = false;
+        let pingPayload = null;
+        let pingSentAt = 0;
+        let pongTimeoutId = null;
 
-            // 发送握手包
-            const handshake = createHandshakePacket(host, port);
-            const statusRequest = createStatusRequestPacket();
-
-            const writeVarInt = (value) => {
-                const buffer = [];
-                do {
-                    let temp = value & 0x7F;
-                    value >>>= 7;
-                    if (value !== 0) {
-                        temp |= 0x80;
-                    }
-                    buffer.push(temp);
-                } while (value !== 0);
-                return Buffer.from(buffer);
-            };
+        // 完成查询；收到Pong时按需补充额外的延迟采样
+        const finish = async (firstRtt) => {
+            hasResolved = true;
+            clearTimeout(timeoutId);
+            clearTimeout(pongTimeoutId);
+            socket.end();
 
-            const writePacket = (packetId, data) => {
-                const packetIdBuffer = writeVarInt(packetId);
-                const packet = Buffer.concat([packetIdBuffer, data]);
-                const lengthBuffer = writeVarInt(packet.length);
-                return Buffer.concat([lengthBuffer, packet]);
-            };
+            if (firstRtt !== undefined) {
+                const samples = [firstRtt];
+                for (let i = 1; i < pingSamples; i++) {
+                    const rtt = await measurePingLatency(serverAddress, targetPort, host);
+                    if (rtt !== null) samples.push(rtt);
+                }
+                responseData.latency = firstRtt;
+                responseData.latencyStats = calculateLatencyStats(samples);
+                if (samples.length > 1) {
+                    responseData.latency = responseData.latencyStats.avg;
+                }
+            }
+
+            resolve(responseData);
+        };
+
+        socket.on('connect', () => {
+            responseData.ping = Date.now() - startTime;
 
-            // 发送握手包
-            const handshakePacket = writePacket(0x00, handshake);
-            socket.write(handshakePacket);
+            // 握手包中仍使用原始主机名，以便代理/虚拟主机正确路由
+            socket.write(createPacket(0x00, createHandshakePacket(host, targetPort)));
 
             // 发送状态请求
-            const statusPacket = writePacket(0x00, statusRequest);
-            socket.write(statusPacket);
+            socket.write(createPacket(0x00, createStatusRequestPacket()));
         });
 
-        socket.on('data', (data) => {
+        // 按VarInt长度分帧读取，响应可能跨越多个TCP分段
+        const packetReader = new PacketReader();
+
+        socket.on('data', (chunk) => {
+            if (hasResolved) return;
+
             try {
-                const response = parseResponse(data);
-                if (response && response.players) {
+                packetReader.push(chunk);
+
+                let packet;
+                while ((packet = packetReader.next())) {
+                    if (statusReceived) {
+                        // Pong响应
+                        parsePongPacket(packet, pingPayload);
+                        finish(Date.now() - pingSentAt);
+                        return;
+                    }
+
+                    const response = parseStatusPacket(packet);
+                    statusReceived = true;
+                    clearTimeout(timeoutId);
+
+                    if (!response || !response.players) {
+                        finish();
+                        return;
+                    }
+
                     responseData.online = true;
                     responseData.version = response.version?.name || 'Unknown';
                     responseData.protocol = response.version?.protocol || 0;
@@ -142,21 +275,39 @@ async function queryMinecraftServer(host, port = 25565, name) {
                         max: response.players?.max || 0,
                         sample: response.players?.sample || []
                     };
-                    responseData.description = response.description?.text ||
-                                             response.description ||
-                                             'A Minecraft Server';
+                    responseData.motd = parseMotd(response.description ?? 'A Minecraft Server');
+                    responseData.description = responseData.motd.text;
                     responseData.favicon = response.favicon || null;
+                    responseData.mods = parseModInfo(response);
                     responseData.ping = responseData.ping || 0;
+                    // 未收到Pong时，以获取状态的耗时作为延迟
                     responseData.latency = Date.now() - startTime;
+
+                    // 发送Ping包测量往返延迟
+                    pingPayload = createPingPayload();
+                    pingSentAt = Date.now();
+                    socket.write(createPacket(0x01, pingPayload));
+                    pongTimeoutId = setTimeout(() => {
+                        if (!hasResolved) finish();
+                    }, PONG_TIMEOUT);
                 }
             } catch (err) {
-                responseData.error = '解析响应失败: ' + err.message;
+                // 状态已获取时Pong无效不影响结果，仅缺少往返延迟
+                if (!statusReceived) {
+                    responseData.error = '解析响应失败: ' + err.message;
+                    responseData.errorCode = err.code || 'PARSE_ERROR';
+                }
+                finish();
             }
-
-            socket.end();
         });
 
         socket.on('error', (err) => {
+            // 已获取状态但交换Ping/Pong时连接出错 (如被重置)，保留已获取的状态
+            if (!hasResolved && statusReceived) {
+                finish();
+                return;
+            }
+
             if (!hasResolved) {
                 hasResolved = true;
                 responseData.error = '连接错误: ' + err.message;
@@ -166,9 +317,18 @@ async function queryMinecraftServer(host, port = 25565, name) {
         });
 
         socket.on('close', () => {
+            // 已获取状态但服务器未响应Pong便关闭连接
+            if (!hasResolved && statusReceived) {
+                finish();
+                return;
+            }
+
             if (!hasResolved) {
                 hasResolved = true;
-                if (!responseData.error) {
+                if (!responseData.error && packetReader.pending > 0) {
+                    responseData.error = '响应数据不完整';
+                    responseData.errorCode = 'TRUNCATED';
+                } else if (!responseData.error) {
                     responseData.error = '连接关闭';
                 }
                 responseData.online = false;
@@ -188,7 +348,7 @@ async function queryMinecraftServer(host, port = 25565, name) {
         });
         
         try {
-            socket.connect(port, serverAddress);
+            socket.connect(targetPort, serverAddress);
         } catch (err) {
             if (!hasResolved) {
                 hasResolved = true;
@@ -201,6 +361,284 @@ async function queryMinecraftServer(host, port = 25565, name) {
     });
 }
 
+// MOTD颜色名称对应的颜色值
+const MOTD_COLORS = {
+    black: '#000000',
+    dark_blue: '#0000AA',
+    dark_green: '#00AA00',
+    dark_aqua: '#00AAAA',
+    dark_red: '#AA0000',
+    dark_purple: '#AA00AA',
+    gold: '#FFAA00',
+    gray: '#AAAAAA',
+    dark_gray: '#555555',
+    blue: '#5555FF',
+    green: '#55FF55',
+    aqua: '#55FFFF',
+    red: '#FF5555',
+    light_purple: '#FF55FF',
+    yellow: '#FFFF55',
+    white: '#FFFFFF'
+};
+
+// §格式代码: 0-f为颜色，k-o为样式，r为重置
+const MOTD_COLOR_CODES = Object.keys(MOTD_COLORS);
+const MOTD_FORMAT_CODES = {
+    k: 'obfuscated',
+    l: 'bold',
+    m: 'strikethrough',
+    n: 'underlined',
+    o: 'italic'
+};
+const MOTD_STYLE_KEYS = ['color', ...Object.values(MOTD_FORMAT_CODES)];
+
+// 将MOTD (聊天组件或含§代码的字符串) 解析为纯文本及带样式的片段
+function parseMotd(description) {
+    const spans = [];
+    appendMotdComponent(description, {}, spans);
+
+    // 合并样式相同的相邻片段
+    const merged = [];
+    for (const span of spans) {
+        const previous = merged[merged.length - 1];
+        if (previous && MOTD_STYLE_KEYS.every(key => previous[key] === span[key])) {
+            previous.text += span.text;
+        } else {
+            merged.push(span);
+        }
+    }
+
+    return {
+        text: merged.map(span => span.text).join(''),
+        spans: merged
+    };
+}
+
+// 递归展开聊天组件，子组件继承父组件样式
+function appendMotdComponent(component, parentStyle, spans) {
+    if (component === null || component === undefined) return;
+
+    if (typeof component !== 'object') {
+        appendMotdText(String(component), parentStyle, spans);
+        return;
+    }
+
+    if (Array.isArray(component)) {
+        component.forEach(child => appendMotdComponent(child, parentStyle, spans));
+        return;
+    }
+
+    const style = { ...parentStyle };
+    if (component.color) {
+        const color = resolveMotdColor(component.color);
+        if (color) style.color = color;
+    }
+    for (const format of Object.values(MOTD_FORMAT_CODES)) {
+        if (typeof component[format] === 'boolean') style[format] = component[format];
+    }
+
+    const text = component.text ?? component.translate ?? '';
+    appendMotdText(String(text), style, spans);
+
+    if (Array.isArray(component.extra)) {
+        component.extra.forEach(child => appendMotdComponent(child, style, spans));
+    }
+}
+
+// 解析文本中的§格式代码
+function appendMotdText(text, baseStyle, spans) {
+    let style = { ...baseStyle };
+    let buffer = '';
+
+    const flush = () => {
+        if (!buffer) return;
+        const span = { text: buffer };
+        for (const key of MOTD_STYLE_KEYS) {
+            if (style[key]) span[key] = style[key];
+        }
+        spans.push(span);
+        buffer = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] !== '\u00a7' || i + 1 >= text.length) {
+            buffer += text[i];
+            continue;
+        }
+
+        flush();
+        const code = text[++i].toLowerCase();
+
+        if (code === 'x' && /^(\u00a7[0-9a-f]){6}$/i.test(text.substr(i + 1, 12))) {
+            // BungeeCord十六进制颜色: §x§R§R§G§G§B§B
+            const hex = text.substr(i + 1, 12).replace(/\u00a7/g, '');
+            style = { color: '#' + hex.toUpperCase() };
+            i += 12;
+        } else if (/[0-9a-f]/.test(code)) {
+            // 颜色代码同时清除已有样式
+            style = { color: MOTD_COLORS[MOTD_COLOR_CODES[parseInt(code, 16)]] };
+        } else if (MOTD_FORMAT_CODES[code]) {
+            style[MOTD_FORMAT_CODES[code]] = true;
+        } else if (code === 'r') {
+            style = { ...baseStyle };
+        }
+    }
+
+    flush();
+}
+
+// 解析颜色名称或十六进制颜色，无法识别时返回null
+function resolveMotdColor(color) {
+    if (MOTD_COLORS[color]) return MOTD_COLORS[color];
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color.toUpperCase();
+    return null;
+}
+
+// Forge对仅服务端模组使用的占位版本号
+const FORGE_IGNORE_SERVER_ONLY = 'OHNOES\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31\uD83D\uDE31';
+
+// 从状态响应中识别模组加载器及模组列表，非模组服务器返回null
+function parseModInfo(response) {
+    let info = null;
+
+    if (response.forgeData) {
+        // Forge 1.13+ (FML2/FML3)
+        const forgeData = response.forgeData;
+        let mods = (forgeData.mods || []).map(mod => ({ id: mod.modId, version: mod.modmarker || null }));
+        let channels = (forgeData.channels || []).map(channel => ({
+            name: channel.res,
+            version: channel.version || null,
+            required: !!channel.required
+        }));
+        let truncated = !!forgeData.truncated;
+
+        // FML3将模组和频道压缩编码到字段d中
+        if (typeof forgeData.d === 'string') {
+            try {
+                const decoded = decodeForgeData(forgeData.d);
+                mods = decoded.mods;
+                channels = decoded.channels;
+                truncated = decoded.truncated;
+            } catch (err) {
+                console.log('解析forgeData失败:', err.message);
+            }
+        }
+
+        info = {
+            loader: mods.some(mod => mod.id === 'neoforge') ? 'neoforge' : 'forge',
+            fmlNetworkVersion: forgeData.fmlNetworkVersion || null,
+            truncated,
+            mods,
+            channels
+        };
+    } else if (response.modinfo && Array.isArray(response.modinfo.modList)) {
+        // Forge 1.7 - 1.12 (FML)
+        info = {
+            loader: 'forge',
+            fmlNetworkVersion: 1,
+            truncated: false,
+            mods: response.modinfo.modList.map(mod => ({ id: mod.modid, version: mod.version || null })),
+            channels: []
+        };
+    } else if (response.isModded === true) {
+        // NeoForge 1.20.2+ 仅标记为模组服务器，不提供模组列表
+        info = { loader: 'neoforge', fmlNetworkVersion: null, truncated: false, mods: [], channels: [] };
+    } else if (/fabric|quilt/i.test(response.version?.name || '')) {
+        const loader = /quilt/i.test(response.version.name) ? 'quilt' : 'fabric';
+        info = { loader, fmlNetworkVersion: null, truncated: false, mods: [], channels: [] };
+    }
+
+    // 整合包信息 (由BetterCompatibilityChecker等模组提供)
+    if (response.modpackData) {
+        info = info || { loader: 'unknown', fmlNetworkVersion: null, truncated: false, mods: [], channels: [] };
+        info.modpack = {
+            name: response.modpackData.name || null,
+            version: response.modpackData.version || null,
+            projectId: response.modpackData.projectID || null
+        };
+    }
+
+    return info;
+}
+
+// 解码FML3压缩的forgeData.d字段
+function decodeForgeData(encoded) {
+    // 前两个字符为字节长度，其余每个字符携带15位数据
+    const size = encoded.charCodeAt(0) | (encoded.charCodeAt(1) << 15);
+    const bytes = Buffer.alloc(size);
+    let length = 0;
+    let bits = 0;
+    let bitCount = 0;
+
+    for (let i = 2; i < encoded.length; i++) {
+        while (bitCount >= 8 && length < size) {
+            bytes[length++] = bits & 0xFF;
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+        bits |= (encoded.charCodeAt(i) & 0x7FFF) << bitCount;
+        bitCount += 15;
+    }
+
+    while (length < size) {
+        bytes[length++] = bits & 0xFF;
+        bits >>>= 8;
+    }
+
+    let offset = 0;
+    const readByte = () => {
+        if (offset >= bytes.length) throw new PacketError('TRUNCATED', 'forgeData数据不完整');
+        return bytes[offset++];
+    };
+    const readVarIntValue = () => {
+        const result = readVarInt(bytes, offset);
+        if (!result) throw new PacketError('TRUNCATED', 'forgeData数据不完整');
+        offset = result.offset;
+        return result.value;
+    };
+    const readString = () => {
+        const stringLength = readVarIntValue();
+        if (offset + stringLength > bytes.length) throw new PacketError('TRUNCATED', 'forgeData数据不完整');
+        const value = bytes.toString('utf8', offset, offset + stringLength);
+        offset += stringLength;
+        return value;
+    };
+
+    const truncated = readByte() !== 0;
+    const modCount = (readByte() << 8) | readByte();
+    const mods = [];
+    const channels = [];
+
+    for (let i = 0; i < modCount; i++) {
+        // 低位标记是否为仅服务端模组 (不发送版本号)
+        const flags = readVarIntValue();
+        const channelCount = flags >>> 1;
+        const serverOnly = (flags & 0x1) !== 0;
+        const id = readString();
+        const version = serverOnly ? null : readString();
+
+        for (let j = 0; j < channelCount; j++) {
+            const name = readString();
+            const channelVersion = readString();
+            const required = readByte() !== 0;
+            channels.push({ name: `${id}:${name}`, version: channelVersion, required });
+        }
+
+        mods.push({ id, version: version === FORGE_IGNORE_SERVER_ONLY ? null : version, serverOnly });
+    }
+
+    // 不属于任何模组的频道
+    const otherChannelCount = readVarIntValue();
+    for (let i = 0; i < otherChannelCount; i++) {
+        const name = readString();
+        const channelVersion = readString();
+        const required = readByte() !== 0;
+        channels.push({ name, version: channelVersion, required });
+    }
+
+    return { truncated, mods, channels };
+}
+
 // 创建握手包
 function createHandshakePacket(host, port) {
     const protocolVersion = 763; // 1.20.1
@@ -232,6 +670,39 @@ function createStatusRequestPacket() {
     return Buffer.alloc(0);
 }
 
+// 创建Ping包的负载 (Int64)
+function createPingPayload() {
+    const payload = Buffer.alloc(8);
+    payload.writeBigInt64BE(BigInt(Date.now()));
+    return payload;
+}
+
+// 解析Pong包，负载须与发送的Ping一致
+function parsePongPacket(packet, payload) {
+    if (packet.id !== 0x01) {
+        throw new PacketError('INVALID_PACKET_ID', `无效的数据包ID: 0x${packet.id.toString(16)}`);
+    }
+
+    if (packet.data.length < 8) {
+        throw new PacketError('TRUNCATED', 'Pong负载不完整');
+    }
+
+    if (!packet.data.subarray(0, 8).equals(payload)) {
+        throw new PacketError('PONG_MISMATCH', 'Pong负载与Ping不一致');
+    }
+}
+
+// 组装数据包: 长度(VarInt) + 数据包ID(VarInt) + 数据
+function createPacket(packetId, data) {
+    const packetIdBuffer = Buffer.alloc(5);
+    const idLength = writeVarInt(packetIdBuffer, packetId, 0);
+    const packet = Buffer.concat([packetIdBuffer.subarray(0, idLength), data]);
+
+    const lengthBuffer = Buffer.alloc(5);
+    const lengthLength = writeVarInt(lengthBuffer, packet.length, 0);
+    return Buffer.concat([lengthBuffer.subarray(0, lengthLength), packet]);
+}
+
 // 写入VarInt
 function writeVarInt(buffer, value, offset) {
     do {
@@ -246,218 +717,3439 @@ function writeVarInt(buffer, value, offset) {
     return offset;
 }
 
-// 解析响应
-function parseResponse(buffer) {
-    let offset = 0;
-    
-    // 读取数据包长度
-    const { value: length, offset: newOffset } = readVarInt(buffer, offset);
-    offset = newOffset;
-    
-    // 读取数据包ID
-    const { value: packetId, offset: newOffset2 } = readVarInt(buffer, offset);
-    offset = newOffset2;
-    
-    if (packetId !== 0x00) {
-        throw new Error('无效的数据包ID');
+// 单个数据包允许的最大长度 (协议上限为3字节VarInt)
+const MAX_PACKET_LENGTH = 2097151;
+
+// 数据包解析错误，code用于区分错误类型
+class PacketError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PacketError';
+        this.code = code;
     }
-    
+}
+
+// 按VarInt长度前缀分帧的数据包读取器
+class PacketReader {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+    }
+
+    // 追加接收到的数据
+    push(chunk) {
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+    }
+
+    // 尚未消费的字节数
+    get pending() {
+        return this.buffer.length;
+    }
+
+    // 取出下一个完整数据包，数据不足时返回null
+    next() {
+        const header = readVarInt(this.buffer, 0);
+        if (!header) return null;
+
+        const length = header.value;
+        if (length <= 0 || length > MAX_PACKET_LENGTH) {
+            throw new PacketError('INVALID_LENGTH', `无效的数据包长度: ${length}`);
+        }
+
+        if (this.buffer.length < header.offset + length) return null;
+
+        const packet = this.buffer.subarray(header.offset, header.offset + length);
+        this.buffer = this.buffer.subarray(header.offset + length);
+
+        const packetId = readVarInt(packet, 0);
+        if (!packetId) {
+            throw new PacketError('TRUNCATED', '数据包ID不完整');
+        }
+
+        return { id: packetId.value, data: packet.subarray(packetId.offset) };
+    }
+}
+
+// 解析状态响应数据包
+function parseStatusPacket(packet) {
+    if (packet.id !== 0x00) {
+        throw new PacketError('INVALID_PACKET_ID', `无效的数据包ID: 0x${packet.id.toString(16)}`);
+    }
+
     // 读取JSON长度
-    const { value: jsonLength, offset: newOffset3 } = readVarInt(buffer, offset);
-    offset = newOffset3;
-    
+    const header = readVarInt(packet.data, 0);
+    if (!header) {
+        throw new PacketError('TRUNCATED', 'JSON长度不完整');
+    }
+
+    const jsonLength = header.value;
+    if (jsonLength < 0 || header.offset + jsonLength > packet.data.length) {
+        throw new PacketError('TRUNCATED', `JSON数据不完整 (声明 ${jsonLength} 字节)`);
+    }
+
     // 读取JSON数据
-    const jsonData = buffer.toString('utf8', offset, offset + jsonLength);
-    
+    const jsonData = packet.data.toString('utf8', header.offset, header.offset + jsonLength);
+
     try {
         return JSON.parse(jsonData);
     } catch (err) {
-        throw new Error('JSON解析失败: ' + err.message);
+        throw new PacketError('INVALID_JSON', 'JSON解析失败: ' + err.message);
     }
 }
 
-// 读取VarInt
+// 读取VarInt，数据不足时返回null
 function readVarInt(buffer, offset) {
     let result = 0;
     let shift = 0;
     let b;
-    
+
     do {
+        if (shift >= 35) {
+            throw new PacketError('VARINT_OVERFLOW', 'VarInt超过5个字节');
+        }
+        if (offset >= buffer.length) {
+            return null;
+        }
+
         b = buffer.readUInt8(offset++);
         result |= (b & 0x7F) << shift;
         shift += 7;
     } while (b & 0x80);
-    
+
     return { value: result, offset };
 }
 
-// 查询单个服务器
-async function queryServer(server) {
-    try {
-        const result = await queryMinecraftServer(server.address, server.port, server.name);
-        return {
-            ...server,
-            ...result,
-            category: server.category || '未分类',
-            description: server.description || '',
-            lastUpdated: new Date().toISOString()
-        };
-    } catch (error) {
-        return {
-            ...server,
-            online: false,
-            error: error.message,
-            players: { online: 0, max: 0, sample: [] },
-            lastUpdated: new Date().toISOString()
+// 建立新连接单独测量一次Ping/Pong往返延迟，失败时返回null
+function measurePingLatency(address, port, host) {
+    return new Promise((resolve) => {
+        const socket = new net.Socket();
+        const packetReader = new PacketReader();
+        const payload = createPingPayload();
+        let sentAt = 0;
+        let done = false;
+
+        const complete = (rtt) => {
+            if (done) return;
+            done = true;
+            socket.destroy();
+            resolve(rtt);
         };
-    }
-}
 
-// 查询所有服务器
-async function queryAllServers(useCache = true) {
-    const now = Date.now();
-    
-    // 检查缓存
-    if (useCache && (now - serverCache.lastUpdated) < serverCache.ttl) {
-        return serverCache.data;
-    }
-    
-    const servers = await getServerList();
-    const queries = servers.map(server => queryServer(server));
-    
-    try {
-        const results = await Promise.all(queries.map(p => p.catch(e => ({
-            online: false,
-            error: e.message,
-            players: { online: 0, max: 0, sample: [] }
-        }))));
-        
-        // 按在线状态和玩家数量排序
-        const sortedResults = results.sort((a, b) => {
-            if (a.online && !b.online) return -1;
-            if (!a.online && b.online) return 1;
-            if (a.online && b.online) {
-                return b.players.online - a.players.online;
+        socket.setTimeout(PONG_TIMEOUT);
+
+        socket.on('connect', () => {
+            // 状态阶段允许不请求状态直接发送Ping
+            socket.write(createPacket(0x00, createHandshakePacket(host, port)));
+            sentAt = Date.now();
+            socket.write(createPacket(0x01, payload));
+        });
+
+        socket.on('data', (chunk) => {
+            try {
+                packetReader.push(chunk);
+                const packet = packetReader.next();
+                if (!packet) return;
+
+                parsePongPacket(packet, payload);
+                complete(Date.now() - sentAt);
+            } catch (err) {
+                complete(null);
             }
-            return a.name.localeCompare(b.name);
         });
-        
-        // 更新缓存
-        serverCache.data = {
-            servers: sortedResults,
-            total: sortedResults.length,
-            online: sortedResults.filter(s => s.online).length,
-            totalPlayers: sortedResults.reduce((sum, s) => sum + (s.players?.online || 0), 0),
-            lastUpdated: new Date().toISOString(),
-            timestamp: now
-        };
-        
-        serverCache.lastUpdated = now;
-        
-        return serverCache.data;
-    } catch (error) {
-        console.error('查询服务器时出错:', error);
-        throw error;
+
+        socket.on('timeout', () => complete(null));
+        socket.on('error', () => complete(null));
+        socket.on('close', () => complete(null));
+
+        socket.connect(port, address);
+    });
+}
+
+// 计算延迟采样统计: 最小/平均/最大值及抖动(相邻采样差值的平均)
+function calculateLatencyStats(samples) {
+    const sum = samples.reduce((total, rtt) => total + rtt, 0);
+    let jitter = 0;
+    for (let i = 1; i < samples.length; i++) {
+        jitter += Math.abs(samples[i] - samples[i - 1]);
     }
+
+    return {
+        samples: samples,
+        min: Math.min(...samples),
+        max: Math.max(...samples),
+        avg: Math.round(sum / samples.length),
+        jitter: samples.length > 1 ? Math.round(jitter / (samples.length - 1)) : 0
+    };
 }
 
-// API路由
+// 旧版Ping超时时间
+const LEGACY_TIMEOUT = 3000;
 
-// 获取所有服务器状态
-app.get('/api/servers', async (req, res) => {
-    try {
-        const useCache = req.query.nocache !== 'true';
-        const serverData = await queryAllServers(useCache);
-        res.json(serverData);
-    } catch (error) {
-        console.error('获取服务器列表失败:', error);
-        res.status(500).json({ error: '获取服务器列表失败: ' + error.message });
-    }
-});
+// 旧版服务器列表Ping (1.6及更早)，失败时返回null
+// options.beta: 仅发送0xFE，兼容Beta至1.3版本
+function queryLegacyServer(address, port, host, options = {}) {
+    return new Promise((resolve) => {
+        const startTime = Date.now();
+        const socket = new net.Socket();
+        let buffer = Buffer.alloc(0);
+        let connectTime = null;
+        let sentAt = 0;
+        let done = false;
 
-// 获取单个服务器状态
-app.get('/api/server/:id', async (req, res) => {
-    try {
+        const complete = (result) => {
+            if (done) return;
+            done = true;
+            socket.destroy();
+            resolve(result);
+        };
+
+        socket.setTimeout(LEGACY_TIMEOUT);
+
+        socket.on('connect', () => {
+            connectTime = Date.now() - startTime;
+            sentAt = Date.now();
+            socket.write(options.beta ? Buffer.from([0xFE]) : createLegacyPingPacket(host, port));
+        });
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            try {
+                const response = parseLegacyResponse(buffer);
+                if (!response) return; // 数据尚未完整
+
+                response.ping = connectTime;
+                response.latency = Date.now() - sentAt;
+                complete(response);
+            } catch (err) {
+                complete(null);
+            }
+        });
+
+        socket.on('timeout', () => complete(null));
+        socket.on('error', () => complete(null));
+        socket.on('close', () => complete(null));
+
+        socket.connect(port, address);
+    });
+}
+
+// 创建旧版Ping包: 0xFE 0x01 + MC|PingHost插件消息 (1.6客户端格式)
+function createLegacyPingPacket(host, port) {
+    const channel = encodeUtf16BE('MC|PingHost');
+    const hostname = encodeUtf16BE(host);
+
+    // 协议版本(1) + 主机名长度(2) + 主机名 + 端口(4)
+    const data = Buffer.alloc(1 + 2 + hostname.length + 4);
+    let offset = 0;
+    data.writeUInt8(74, offset); // 1.6.2
+    offset += 1;
+    data.writeUInt16BE(host.length, offset);
+    offset += 2;
+    hostname.copy(data, offset);
+    offset += hostname.length;
+    data.writeInt32BE(port, offset);
+
+    const header = Buffer.alloc(5);
+    header.writeUInt8(0xFE, 0);
+    header.writeUInt8(0x01, 1);
+    header.writeUInt8(0xFA, 2);
+    header.writeUInt16BE('MC|PingHost'.length, 3);
+
+    const dataLength = Buffer.alloc(2);
+    dataLength.writeUInt16BE(data.length);
+
+    return Buffer.concat([header, channel, dataLength, data]);
+}
+
+// 解析旧版踢出包 (0xFF)，数据不足时返回null
+function parseLegacyResponse(buffer) {
+    if (buffer.length < 1) return null;
+
+    if (buffer.readUInt8(0) !== 0xFF) {
+        throw new PacketError('INVALID_PACKET_ID', `无效的数据包ID: 0x${buffer[0].toString(16)}`);
+    }
+
+    if (buffer.length < 3) return null;
+
+    // 长度为UTF-16字符数
+    const length = buffer.readUInt16BE(1);
+    if (buffer.length < 3 + length * 2) return null;
+
+    const text = decodeUtf16BE(buffer.subarray(3, 3 + length * 2));
+
+    // 1.4+ 格式: §1\0协议版本\0版本号\0MOTD\0在线人数\0最大人数
+    if (text.startsWith('\u00a71\u0000')) {
+        const fields = text.split('\u0000');
+        return {
+            protocol: parseInt(fields[1]) || 0,
+            version: fields[2],
+            motd: fields[3],
+            players: {
+                online: parseInt(fields[4]) || 0,
+                max: parseInt(fields[5]) || 0
+            }
+        };
+    }
+
+    // Beta格式: MOTD§在线人数§最大人数
+    const fields = text.split('\u00a7');
+    if (fields.length < 3) {
+        throw new PacketError('INVALID_RESPONSE', '无法识别的旧版响应');
+    }
+
+    const max = fields.pop();
+    const online = fields.pop();
+    return {
+        protocol: 0,
+        version: null,
+        motd: fields.join('\u00a7'),
+        players: {
+            online: parseInt(online) || 0,
+            max: parseInt(max) || 0
+        }
+    };
+}
+
+// UTF-16BE编码
+function encodeUtf16BE(text) {
+    return Buffer.from(text, 'utf16le').swap16();
+}
+
+// UTF-16BE解码
+function decodeUtf16BE(buffer) {
+    return Buffer.from(buffer).swap16().toString('utf16le');
+}
+
+// RakNet离线消息魔数
+const RAKNET_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+// Bedrock版服务器查询函数 (RakNet Unconnected Ping)
+async function queryBedrockServer(host, port = 19132, name) {
+    return new Promise(async (resolve) => {
+        let startTime = null; // 发送Ping包时开始计时，不包含DNS解析耗时
+        const timeout = 5000; // 5秒超时
+        let socket = null; // 解析地址后按地址类型创建
+        let hasResolved = false;
+
+        const responseData = {
+            id: crypto.createHash('md5').update(`${host}:${port}`).digest('hex').substring(0, 8),
+            name: name,
+            address: host,
+            port: port,
+            online: false,
+            error: null,
+            lastUpdated: new Date().toISOString(),
+            ping: null,
+            latency: null
+        };
+
+        const finish = () => {
+            if (hasResolved) return;
+            hasResolved = true;
+            clearTimeout(timeoutId);
+            try {
+                socket?.close();
+            } catch (err) {
+                // 套接字可能已关闭
+            }
+            resolve(responseData);
+        };
+
+        const timeoutId = setTimeout(() => {
+            responseData.error = '连接超时';
+            finish();
+        }, timeout);
+
+        // 解析主机名
+        let serverAddress = host;
+        try {
+            serverAddress = await resolveHostname(host);
+        } catch (err) {
+            console.log(`DNS解析失败: ${host}`);
+        }
+        if (hasResolved) return; // 解析期间已超时
+
+        // 主机名可能解析为IPv6地址，udp4套接字无法向其发送
+        socket = dgram.createSocket(net.isIPv6(serverAddress) ? 'udp6' : 'udp4');
+
+        socket.on('message', (message) => {
+            // 忽略Unconnected Pong以外的数据包，继续等待响应
+            if (message.length === 0 || message.readUInt8(0) !== 0x1C) return;
+
+            try {
+                const response = parseUnconnectedPong(message);
+                responseData.online = true;
+                responseData.edition = response.edition;
+                responseData.version = response.version || 'Unknown';
+                responseData.protocol = response.protocol || 0;
+                responseData.players = {
+                    online: response.players.online,
+                    max: response.players.max,
+                    sample: []
+                };
+                // 第二行MOTD (世界名) 与第一行一同展示
+                responseData.motd = parseMotd([response.motd || 'A Minecraft Server', response.levelName ? '\n' + response.levelName : ''].join(''));
+                responseData.description = responseData.motd.text;
+                responseData.levelName = response.levelName || null;
+                responseData.gamemode = response.gamemode || null;
+                responseData.favicon = null;
+                responseData.ping = Date.now() - startTime;
+                responseData.latency = responseData.ping;
+            } catch (err) {
+                responseData.error = '解析响应失败: ' + err.message;
+            }
+
+            finish();
+        });
+
+        socket.on('error', (err) => {
+            responseData.error = '连接错误: ' + err.message;
+            finish();
+        });
+
+        try {
+            startTime = Date.now();
+            socket.send(createUnconnectedPingPacket(), port, serverAddress);
+        } catch (err) {
+            responseData.error = '连接失败: ' + err.message;
+            finish();
+        }
+    });
+}
+
+// 创建Unconnected Ping包
+function createUnconnectedPingPacket() {
+    const buffer = Buffer.alloc(33);
+    let offset = 0;
+
+    // 数据包ID: 0x01
+    buffer.writeUInt8(0x01, offset);
+    offset += 1;
+
+    // 客户端时间戳 (Int64)
+    buffer.writeBigInt64BE(BigInt(Date.now()), offset);
+    offset += 8;
+
+    // 魔数
+    RAKNET_MAGIC.copy(buffer, offset);
+    offset += RAKNET_MAGIC.length;
+
+    // 客户端GUID (Int64)
+    crypto.randomBytes(8).copy(buffer, offset);
+
+    return buffer;
+}
+
+// 解析Unconnected Pong包
+function parseUnconnectedPong(buffer) {
+    // 包ID(1) + 时间戳(8) + 服务器GUID(8) + 魔数(16) + 字符串长度(2)
+    const headerLength = 1 + 8 + 8 + RAKNET_MAGIC.length + 2;
+
+    if (buffer.length < headerLength || buffer.readUInt8(0) !== 0x1C) {
+        throw new Error('无效的数据包ID');
+    }
+
+    if (!buffer.subarray(17, 17 + RAKNET_MAGIC.length).equals(RAKNET_MAGIC)) {
+        throw new Error('无效的RakNet魔数');
+    }
+
+    const length = buffer.readUInt16BE(headerLength - 2);
+    const info = buffer.toString('utf8', headerLength, headerLength + length).split(';');
+
+    // MCPE;MOTD;协议版本;版本号;在线人数;最大人数;服务器ID;世界名;游戏模式;游戏模式ID;IPv4端口;IPv6端口;
+    if (info.length < 6) {
+        throw new Error('服务器信息不完整');
+    }
+
+    return {
+        edition: info[0],
+        motd: info[1],
+        protocol: parseInt(info[2]) || 0,
+        version: info[3],
+        players: {
+            online: parseInt(info[4]) || 0,
+            max: parseInt(info[5]) || 0
+        },
+        serverId: info[6] || null,
+        levelName: info[7] || null,
+        gamemode: info[8] || null
+    };
+}
+
+// GameSpy4 Query超时时间
+const QUERY_TIMEOUT = 3000;
+
+// GameSpy4 UDP Query (需服务器开启 enable-query=true)，失败时返回null
+async function queryGameSpyServer(host, port) {
+    const address = await resolveHostname(host);
+
+    return new Promise((resolve) => {
+        const socket = dgram.createSocket('udp4');
+        // 会话ID仅使用每字节的低4位
+        const sessionId = crypto.randomBytes(4).readInt32BE(0) & 0x0F0F0F0F;
+        let done = false;
+
+        const complete = (result) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timeoutId);
+            try {
+                socket.close();
+            } catch (err) {
+                // 套接字可能已关闭
+            }
+            resolve(result);
+        };
+
+        const timeoutId = setTimeout(() => complete(null), QUERY_TIMEOUT);
+
+        socket.on('message', (message) => {
+            try {
+                if (message.length < 5 || message.readInt32BE(1) !== sessionId) return;
+
+                const type = message.readUInt8(0);
+                if (type === 0x09) {
+                    // 握手响应: 以字符串形式返回的挑战令牌
+                    const token = parseInt(message.toString('utf8', 5).replace(/\0+$/, ''));
+                    socket.send(createQueryStatPacket(sessionId, token), port, address);
+                } else if (type === 0x00) {
+                    complete(parseFullStat(message));
+                }
+            } catch (err) {
+                complete(null);
+            }
+        });
+
+        socket.on('error', () => complete(null));
+
+        socket.send(createQueryHandshakePacket(sessionId), port, address, (err) => {
+            if (err) complete(null);
+        });
+    });
+}
+
+// 创建Query握手包
+function createQueryHandshakePacket(sessionId) {
+    const buffer = Buffer.alloc(7);
+    buffer.writeUInt16BE(0xFEFD, 0);
+    buffer.writeUInt8(0x09, 2);
+    buffer.writeInt32BE(sessionId, 3);
+    return buffer;
+}
+
+// 创建完整状态(Full Stat)请求包
+function createQueryStatPacket(sessionId, token) {
+    const buffer = Buffer.alloc(15);
+    buffer.writeUInt16BE(0xFEFD, 0);
+    buffer.writeUInt8(0x00, 2);
+    buffer.writeInt32BE(sessionId, 3);
+    buffer.writeInt32BE(token, 7);
+    // 4字节填充，表示请求完整状态
+    return buffer;
+}
+
+// 解析完整状态响应
+function parseFullStat(message) {
+    // 类型(1) + 会话ID(4) + "splitnum\0\x80\0"(11)
+    let offset = 16;
+
+    const readString = () => {
+        const end = message.indexOf(0x00, offset);
+        if (end === -1) {
+            throw new PacketError('TRUNCATED', 'Query响应不完整');
+        }
+        const value = message.toString('utf8', offset, end);
+        offset = end + 1;
+        return value;
+    };
+
+    // 键值对部分，以空键结束
+    const info = {};
+    for (let key = readString(); key !== ''; key = readString()) {
+        info[key] = readString();
+    }
+
+    // 玩家部分: "\x01player_\0\0" 后为以空字符串结束的玩家名列表
+    const players = [];
+    const playerSection = message.indexOf('\x01player_\0\0', offset - 1, 'latin1');
+    if (playerSection !== -1) {
+        offset = playerSection + 10;
+        while (offset < message.length) {
+            const player = readString();
+            if (player === '') break;
+            players.push(player);
+        }
+    }
+
+    const { software, plugins } = parseQueryPlugins(info.plugins || '');
+
+    return {
+        motd: info.hostname || '',
+        gametype: info.gametype || null,
+        gameId: info.game_id || null,
+        version: info.version || null,
+        map: info.map || null,
+        software: software,
+        plugins: plugins,
+        players: {
+            online: parseInt(info.numplayers) || 0,
+            max: parseInt(info.maxplayers) || 0,
+            list: players
+        },
+        hostPort: parseInt(info.hostport) || null,
+        hostIp: info.hostip || null
+    };
+}
+
+// 解析插件字段: "服务端: 插件1 版本; 插件2 版本"
+function parseQueryPlugins(value) {
+    if (!value) {
+        return { software: null, plugins: [] };
+    }
+
+    const separator = value.indexOf(': ');
+    if (separator === -1) {
+        return { software: value.trim(), plugins: [] };
+    }
+
+    return {
+        software: value.substring(0, separator).trim(),
+        plugins: value.substring(separator + 2)
+            .split(';')
+            .map(plugin => plugin.trim())
+            .filter(Boolean)
+    };
+}
+
+// 将Query结果合并到服务器状态
+function mergeQueryResult(result, query) {
+    result.queryData = {
+        map: query.map,
+        gametype: query.gametype,
+        software: query.software,
+        plugins: query.plugins
+    };
+
+    result.players = {
+        ...(result.players || { sample: [] }),
+        online: query.players.online,
+        max: query.players.max,
+        list: query.players.list
+    };
+
+    if (!result.version && query.version) {
+        result.version = query.version;
+    }
+
+    return result;
+}
+
+// RCON配置
+const DEFAULT_RCON_PORT = 25575;
+const RCON_TIMEOUT = 5000;
+const RCON_MAX_PACKET = 4096 + 10; // 单个响应包最大载荷为4096字节
+
+// RCON数据包类型
+const RCON_TYPE = {
+    RESPONSE: 0,
+    COMMAND: 2,
+    AUTH_RESPONSE: 2,
+    AUTH: 3
+};
+
+// 执行RCON命令，返回服务器输出
+async function executeRconCommand(host, port, password, command) {
+    const address = await resolveHostname(host);
+
+    return new Promise((resolve, reject) => {
+        const socket = new net.Socket();
+        const AUTH_ID = 1;
+        const COMMAND_ID = 2;
+        // 命令之后发送的哨兵包，收到其响应即表示命令输出(可能分多个包)已全部返回
+        const SENTINEL_ID = 3;
+        const output = [];
+        let buffer = Buffer.alloc(0);
+        let authenticated = false;
+        let done = false;
+
+        const complete = (err, result) => {
+            if (done) return;
+            done = true;
+            socket.destroy();
+            if (err) reject(err);
+            else resolve(result);
+        };
+
+        const handlePacket = (packet) => {
+            if (!authenticated) {
+                // 认证失败时请求ID为-1
+                if (packet.id === -1) {
+                    complete(new Error('RCON密码错误'));
+                    return;
+                }
+
+                // 部分服务端会在认证响应前先发送一个空的响应包
+                if (packet.type !== RCON_TYPE.AUTH_RESPONSE || packet.id !== AUTH_ID) return;
+
+                authenticated = true;
+                socket.write(createRconPacket(COMMAND_ID, RCON_TYPE.COMMAND, command));
+                socket.write(createRconPacket(SENTINEL_ID, RCON_TYPE.RESPONSE, ''));
+                return;
+            }
+
+            if (packet.id === COMMAND_ID) {
+                output.push(packet.body);
+            } else if (packet.id === SENTINEL_ID) {
+                complete(null, output.join(''));
+            }
+        };
+
+        socket.setTimeout(RCON_TIMEOUT);
+
+        socket.on('connect', () => {
+            socket.write(createRconPacket(AUTH_ID, RCON_TYPE.AUTH, password));
+        });
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            while (buffer.length >= 4) {
+                const length = buffer.readInt32LE(0);
+                if (length < 10 || length > RCON_MAX_PACKET) {
+                    complete(new Error(`无效的RCON数据包长度: ${length}`));
+                    return;
+                }
+
+                if (buffer.length < 4 + length) break;
+
+                const packet = {
+                    id: buffer.readInt32LE(4),
+                    type: buffer.readInt32LE(8),
+                    // 载荷以两个空字节结尾
+                    body: buffer.toString('utf8', 12, 4 + length - 2)
+                };
+                buffer = buffer.subarray(4 + length);
+
+                handlePacket(packet);
+                if (done) return;
+            }
+        });
+
+        socket.on('timeout', () => {
+            complete(new Error(authenticated ? 'RCON命令执行超时' : 'RCON连接超时'));
+        });
+
+        socket.on('error', (err) => {
+            complete(new Error('RCON连接错误: ' + err.message));
+        });
+
+        socket.on('close', () => {
+            // 部分服务端不响应哨兵包而直接关闭连接
+            if (authenticated && output.length > 0) {
+                complete(null, output.join(''));
+            } else {
+                complete(new Error('RCON连接已关闭'));
+            }
+        });
+
+        socket.connect(port, address);
+    });
+}
+
+// 创建RCON数据包: 长度 + 请求ID + 类型 + 载荷 + 两个空字节 (小端序)
+function createRconPacket(id, type, body) {
+    const bodyBuffer = Buffer.from(body, 'utf8');
+    const buffer = Buffer.alloc(14 + bodyBuffer.length);
+
+    buffer.writeInt32LE(10 + bodyBuffer.length, 0);
+    buffer.writeInt32LE(id, 4);
+    buffer.writeInt32LE(type, 8);
+    bodyBuffer.copy(buffer, 12);
+
+    return buffer;
+}
+
+// 从请求体中读取RCON配置 (rconPort/rconPassword)，rconPassword为null时移除配置
+function applyRconConfig(server, body) {
+    if (body.rconPassword === null) {
+        delete server.rcon;
+    } else if (body.rconPassword) {
+        server.rcon = {
+            port: parseInt(body.rconPort) || DEFAULT_RCON_PORT,
+            password: String(body.rconPassword)
+        };
+    } else if (body.rconPort && server.rcon) {
+        server.rcon.port = parseInt(body.rconPort) || server.rcon.port;
+    }
+
+    return server;
+}
+
+// 将校验后的配置写入服务器条目，值为null的字段被删除
+function applyServerChanges(server, value) {
+    const { rconPort, rconPassword, ...fields } = value;
+
+    for (const [key, fieldValue] of Object.entries(fields)) {
+        if (fieldValue === null) {
+            delete server[key];
+        } else {
+            server[key] = fieldValue;
+        }
+    }
+
+    return applyRconConfig(server, { rconPort, rconPassword });
+}
+
+// 返回字段级校验错误
+function sendValidationError(res, errors) {
+    res.status(400).json({
+        error: '服务器配置无效: ' + Object.values(errors).join('；'),
+        fields: errors
+    });
+}
+
+// 移除敏感字段 (RCON密码)，仅返回是否已配置RCON
+function sanitizeServer(server) {
+    const { rcon, ...rest } = server;
+    return {
+        ...rest,
+        rconEnabled: !!rcon,
+        rconPort: rcon ? rcon.port : undefined
+    };
+}
+
+// 查询结果中描述服务器身份的字段 (ID由地址生成)，以配置为准
+const RESULT_IDENTITY_FIELDS = ['id', 'name', 'address', 'port'];
+
+// 由服务器配置和实时查询结果组成状态对象
+// 配置字段始终以配置为准，查询结果不会覆盖ID等配置，前端可以放心按ID操作
+function buildServerStatus(server, result) {
+    const live = { ...result };
+    for (const key of RESULT_IDENTITY_FIELDS) {
+        delete live[key];
+    }
+
+    return {
+        ...live,
+        ...sanitizeServer(server),
+        category: server.category || '未分类',
+        description: server.description || '',
+        lastUpdated: new Date().toISOString()
+    };
+}
+
+// 查询单个服务器的实时状态，不记录历史也不触发事件，可以安全地重试
+async function probeServer(server, options = {}) {
+    try {
+        const statusQuery = server.type === 'bedrock'
+            ? queryBedrockServer(server.address, server.port, server.name)
+            : queryMinecraftServer(server.address, server.port, server.name, {
+                pingSamples: options.pingSamples || server.pingSamples
+            });
+
+        // 开启Query时与状态查询并行进行
+        const [result, query] = await Promise.all([
+            statusQuery,
+            server.query ? queryGameSpyServer(server.address, server.queryPort || server.port) : null
+        ]);
+
+        if (query) {
+            mergeQueryResult(result, query);
+        }
+
+        return buildServerStatus(server, result);
+    } catch (error) {
+        return buildServerStatus(server, {
+            online: false,
+            error: error.message,
+            players: { online: 0, max: 0, sample: [] }
+        });
+    }
+}
+
+// 发布最终查询结果: 持久化历史 (不阻塞响应) 并通知告警、玩家追踪等订阅者
+function publishServerStatus(server, status) {
+    recordHistory(server.id, status);
+    statusEvents.emit('result', status, server);
+}
+
+// 读取整数环境变量，未设置、无法解析或小于min时使用默认值 (0是有效值)
+function readIntEnv(name, defaultValue, min) {
+    const value = parseInt(process.env[name], 10);
+    if (Number.isNaN(value) || value < min) {
+        if (process.env[name] !== undefined && process.env[name] !== '') {
+            console.warn(`环境变量 ${name}=${process.env[name]} 无效，使用默认值 ${defaultValue}`);
+        }
+        return defaultValue;
+    }
+    return value;
+}
+
+// 查询引擎配置
+const QUERY_CONCURRENCY = readIntEnv('QUERY_CONCURRENCY', 32, 1); // 同时进行的查询上限
+const QUERY_HOST_CONCURRENCY = readIntEnv('QUERY_HOST_CONCURRENCY', 4, 1); // 同一主机同时进行的查询上限
+const QUERY_HOST_INTERVAL = readIntEnv('QUERY_HOST_INTERVAL', 50, 0); // 同一主机两次查询的最小间隔(毫秒)，0为不限制
+const QUERY_RETRIES = readIntEnv('QUERY_RETRIES', 1, 0); // 超时等偶发错误的重试次数，0为不重试
+const QUERY_RETRY_DELAY = 500; // 首次重试的基础延迟，之后指数增长
+const QUERY_RETRYABLE_ERRORS = ['timeout', 'connection_closed'];
+
+// 所有查询 (后台轮询、手动刷新、单个服务器) 共用同一个队列
+// hosts以小写的服务器地址为键: { running, nextStartAt }
+const queryEngine = {
+    queue: [],
+    running: 0,
+    hosts: new Map(),
+    wakeTimer: null,
+    wakeAt: Infinity
+};
+
+// 查询被取消时使用的错误
+function createAbortError() {
+    const error = new Error('查询已取消');
+    error.name = 'AbortError';
+    return error;
+}
+
+// 第N次重试的延迟 (指数退避 + 全抖动，避免大量服务器同时重试)
+function getRetryDelay(attempt) {
+    return Math.round(Math.random() * QUERY_RETRY_DELAY * Math.pow(2, attempt - 1));
+}
+
+// 只有超时、连接中断等偶发错误值得重试，连接被拒绝或域名不存在时重试也不会成功
+function isRetryableResult(status) {
+    return !status.online && QUERY_RETRYABLE_ERRORS.includes(classifyQueryError(status));
+}
+
+// 通过查询引擎查询单个服务器，受并发上限和同一主机的速率限制约束
+// options.signal 可用于取消尚未完成的查询，被取消时以AbortError拒绝
+function queryServer(server, options = {}) {
+    const { signal, ...queryOptions } = options;
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    return new Promise((resolve, reject) => {
+        // 排队中的任务立即移出队列，执行中的任务等本次尝试结束后丢弃结果
+        const onAbort = () => {
+            const index = queryEngine.queue.indexOf(task);
+            if (index !== -1) {
+                queryEngine.queue.splice(index, 1);
+                task.reject(createAbortError());
+            }
+        };
+
+        // 任务结束时移除监听器，避免长期复用的signal上累积监听器
+        const settle = callback => value => {
+            signal?.removeEventListener('abort', onAbort);
+            callback(value);
+        };
+
+        const task = {
+            server,
+            options: queryOptions,
+            host: String(server.address || '').toLowerCase(),
+            signal,
+            attempt: 0,
+            notBefore: 0,
+            resolve: settle(resolve),
+            reject: settle(reject)
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        queryEngine.queue.push(task);
+        pumpQueryQueue();
+    });
+}
+
+// 按顺序启动满足并发与速率限制的任务，暂时不能启动的任务在最早可执行的时间再检查
+function pumpQueryQueue() {
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    for (let i = 0; i < queryEngine.queue.length && queryEngine.running < QUERY_CONCURRENCY;) {
+        const task = queryEngine.queue[i];
+        const host = queryEngine.hosts.get(task.host) || { running: 0, nextStartAt: 0 };
+
+        if (host.running >= QUERY_HOST_CONCURRENCY) {
+            i++; // 等待该主机的查询完成
+            continue;
+        }
+
+        const readyAt = Math.max(task.notBefore, host.nextStartAt);
+        if (readyAt > now) {
+            wakeAt = Math.min(wakeAt, readyAt);
+            i++;
+            continue;
+        }
+
+        queryEngine.queue.splice(i, 1);
+        queryEngine.hosts.set(task.host, host);
+        runQueryTask(task, host);
+    }
+
+    if (wakeAt < queryEngine.wakeAt) {
+        clearTimeout(queryEngine.wakeTimer);
+        queryEngine.wakeAt = wakeAt;
+        queryEngine.wakeTimer = setTimeout(() => {
+            queryEngine.wakeAt = Infinity;
+            pumpQueryQueue();
+        }, wakeAt - now);
+    }
+}
+
+// 执行一次查询尝试，失败时按需重新排队
+async function runQueryTask(task, host) {
+    queryEngine.running++;
+    host.running++;
+    host.nextStartAt = Date.now() + QUERY_HOST_INTERVAL;
+
+    let status;
+    try {
+        status = await probeServer(task.server, task.options);
+    } finally {
+        queryEngine.running--;
+        host.running--;
+        if (host.running === 0 && host.nextStartAt <= Date.now()) {
+            queryEngine.hosts.delete(task.host);
+        }
+    }
+
+    if (task.signal?.aborted) {
+        task.reject(createAbortError());
+    } else if (task.attempt < QUERY_RETRIES && isRetryableResult(status)) {
+        task.attempt++;
+        task.notBefore = Date.now() + getRetryDelay(task.attempt);
+        queryEngine.queue.push(task);
+    } else {
+        publishServerStatus(task.server, status);
+        task.resolve(status);
+    }
+
+    pumpQueryQueue();
+}
+
+// 查询引擎状态
+function getQueryEngineStatus() {
+    return {
+        concurrency: QUERY_CONCURRENCY,
+        hostConcurrency: QUERY_HOST_CONCURRENCY,
+        hostInterval: QUERY_HOST_INTERVAL,
+        retries: QUERY_RETRIES,
+        running: queryEngine.running,
+        queued: queryEngine.queue.length
+    };
+}
+
+// 查询所有服务器
+// useCache为true时优先使用各服务器的缓存，为false时重新查询所有服务器
+// options.signal 取消时未完成的查询全部取消，并以AbortError拒绝
+async function queryAllServers(useCache = true, options = {}) {
+    const servers = await getServerList();
+
+    const results = await Promise.all(servers.map(server => {
+        const query = useCache
+            ? getServerStatus(server, options)
+            : refreshServerStatus(server, options).then(status => ({ ...status, stale: false }));
+
+        return query.catch(error => {
+            if (error.name === 'AbortError') throw error;
+            return {
+                ...buildServerStatus(server, {
+                    online: false,
+                    error: error.message,
+                    players: { online: 0, max: 0, sample: [] }
+                }),
+                stale: false
+            };
+        });
+    }));
+
+    return summarizeServerStatuses(results);
+}
+
+// 汇总各服务器状态
+function summarizeServerStatuses(results) {
+    // 按在线状态和玩家数量排序
+    const sortedResults = [...results].sort((a, b) => {
+        if (a.online && !b.online) return -1;
+        if (!a.online && b.online) return 1;
+        if (a.online && b.online) {
+            return b.players.online - a.players.online;
+        }
+        return a.name.localeCompare(b.name);
+    });
+    
+    return {
+        servers: sortedResults,
+        total: sortedResults.length,
+        online: sortedResults.filter(s => s.online).length,
+        totalPlayers: sortedResults.reduce((sum, s) => sum + (s.players?.online || 0), 0),
+        stale: sortedResults.filter(s => s.stale).length,
+        pending: sortedResults.filter(s => s.pending).length,
+        lastUpdated: new Date().toISOString(),
+        timestamp: Date.now()
+    };
+}
+
+// 实时推送配置 (Server-Sent Events)
+const STREAM_HEARTBEAT_INTERVAL = 25000;
+const STREAM_RETRY = 5000; // 客户端断线重连间隔
+
+// 每次查询完成时触发 'result' 事件
+const statusEvents = new EventEmitter();
+const streamClients = new Set();
+const statusSignatures = new Map();
+
+// 状态签名，仅包含影响展示的字段，延迟等每次都会变化的值不计入
+function getStatusSignature(status) {
+    return JSON.stringify([
+        status.name,
+        status.online,
+        status.players?.online,
+        status.players?.max,
+        (status.players?.list || status.players?.sample || []).map(player => player.name || player),
+        status.version,
+        status.description,
+        status.motd?.text,
+        status.mods?.loader,
+        status.mods?.mods.map(mod => mod.id + '@' + mod.version),
+        status.error,
+        status.category
+    ]);
+}
+
+// 向所有订阅的客户端推送事件
+function broadcastEvent(event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of streamClients) {
+        res.write(payload);
+    }
+}
+
+// 状态发生变化时推送给客户端
+statusEvents.on('result', (status) => {
+    const signature = getStatusSignature(status);
+    if (statusSignatures.get(status.id) === signature) return;
+
+    statusSignatures.set(status.id, signature);
+    broadcastEvent('server', status);
+});
+
+// 保持连接的心跳注释
+setInterval(() => {
+    for (const res of streamClients) {
+        res.write(': heartbeat\n\n');
+    }
+}, STREAM_HEARTBEAT_INTERVAL).unref();
+
+// 服务器状态缓存配置
+const STATUS_CACHE_GRACE = 10000; // 留出一次查询(含重试)的时间，避免轮询结果刚到期就被判为过期
+
+// 每台服务器独立缓存最近一次查询结果，以服务器ID为键: { status, updatedAt, queryKey }
+const statusCache = new Map();
+// 正在进行的刷新，以服务器ID为键: { promise, controller, waiters }
+const statusRefreshes = new Map();
+
+// 影响查询结果的配置，变化后旧的缓存不能再使用
+function getStatusQueryKey(server) {
+    return JSON.stringify([server.type || 'java', server.address, server.port, !!server.query, server.queryPort || null]);
+}
+
+// 缓存有效期与服务器的轮询间隔一致，连续失败退避时相应延长
+function getStatusTtl(server) {
+    const job = pollerState.jobs.get(String(server.id));
+    return (job ? getPollDelay(job) : getPollInterval(server)) + STATUS_CACHE_GRACE;
+}
+
+// 读取缓存的状态并标记是否过期，没有缓存或查询配置已变化时返回null
+// 名称、分类等配置字段以当前配置为准
+function getCachedStatus(server, now = Date.now()) {
+    const entry = statusCache.get(String(server.id));
+    if (!entry || entry.queryKey !== getStatusQueryKey(server)) return null;
+
+    return {
+        ...buildServerStatus(server, entry.status),
+        lastUpdated: entry.status.lastUpdated,
+        stale: now - entry.updatedAt > getStatusTtl(server)
+    };
+}
+
+// 刷新单个服务器状态，同一服务器同时只进行一次查询，并发的调用共享同一结果
+// 调用方传入signal时取消只会停止该调用方的等待，所有等待方都取消后才取消查询本身
+function refreshServerStatus(server, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) return Promise.reject(createAbortError());
+
+    const key = String(server.id);
+    let refresh = statusRefreshes.get(key);
+
+    if (!refresh) {
+        const controller = new AbortController();
+        refresh = {
+            controller,
+            waiters: 0,
+            promise: queryServer(server, { signal: controller.signal })
+        };
+        refresh.promise
+            .catch(() => {}) // 所有等待方都已取消时无人处理拒绝
+            .finally(() => {
+                if (statusRefreshes.get(key) === refresh) statusRefreshes.delete(key);
+            });
+        statusRefreshes.set(key, refresh);
+    }
+
+    if (!signal) {
+        refresh.waiters = Infinity; // 存在不可取消的调用方时查询必须完成
+        return refresh.promise;
+    }
+
+    const current = refresh;
+    current.waiters++;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            reject(createAbortError());
+            if (--current.waiters === 0) {
+                // 已取消的刷新不能再被后续调用方复用
+                if (statusRefreshes.get(key) === current) statusRefreshes.delete(key);
+                current.controller.abort();
+            }
+        };
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        current.promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// 获取单个服务器状态: 缓存有效时直接返回，过期时立即返回旧数据并在后台刷新，没有缓存时等待查询
+async function getServerStatus(server, options = {}) {
+    const cached = getCachedStatus(server);
+    if (!cached) {
+        return { ...(await refreshServerStatus(server, options)), stale: false };
+    }
+
+    if (cached.stale) {
+        refreshServerStatus(server).catch(error => {
+            console.error(`后台刷新服务器 ${server.name} 失败:`, error);
+        });
+    }
+    return cached;
+}
+
+// 尚无缓存的服务器使用的占位状态，查询完成后通过 server 事件推送实际状态
+function buildPendingStatus(server) {
+    return {
+        ...buildServerStatus(server, { online: false, error: null, ping: null, latency: null }),
+        lastUpdated: null,
+        pending: true,
+        stale: false
+    };
+}
+
+// 每次查询完成后更新缓存
+statusEvents.on('result', (status, server) => {
+    if (!server) return;
+
+    statusCache.set(String(server.id), {
+        status,
+        updatedAt: Date.now(),
+        queryKey: getStatusQueryKey(server)
+    });
+});
+
+// 告警配置
+const ALERTS_FILE = process.env.ALERTS_FILE || path.join('data', 'alerts.json');
+const WEBHOOK_TIMEOUT = 5000;
+const WEBHOOK_RETRIES = 2;
+
+// 告警规则类型
+const ALERT_TYPES = {
+    offline: { needsThreshold: false, label: '服务器离线' },
+    latency_above: { needsThreshold: true, label: '延迟过高' },
+    players_above: { needsThreshold: true, label: '玩家数过多' },
+    players_below: { needsThreshold: true, label: '玩家数过少' },
+    version_changed: { needsThreshold: false, label: '版本变更' }
+};
+
+// Webhook格式
+const WEBHOOK_FORMATS = ['generic', 'discord'];
+
+// 告警规则与Webhook配置 (内存副本)，及每个 规则:服务器 的告警状态
+let alertConfig = { rules: [], webhooks: [] };
+const alertStates = new Map();
+
+// 从文件读取告警配置
+async function loadAlertConfig() {
+    try {
+        const data = JSON.parse(await fs.readFile(ALERTS_FILE, 'utf8'));
+        alertConfig = {
+            rules: Array.isArray(data.rules) ? data.rules : [],
+            webhooks: Array.isArray(data.webhooks) ? data.webhooks : []
+        };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('读取告警配置失败:', error);
+        }
+    }
+    return alertConfig;
+}
+
+// 保存告警配置到文件，原子写入避免崩溃时损坏配置，并发的保存按顺序执行 (共用同一个临时文件)
+let alertSaveQueue = Promise.resolve();
+function saveAlertConfig() {
+    const save = alertSaveQueue.then(() => writeFileAtomic(ALERTS_FILE, JSON.stringify(alertConfig, null, 2)));
+    alertSaveQueue = save.catch(() => {});
+    return save;
+}
+
+// 校验告警规则，返回错误信息或null
+function validateAlertRule(rule, servers) {
+    if (!rule.name) return '规则名称不能为空';
+    if (!ALERT_TYPES[rule.type]) return '不支持的告警类型: ' + rule.type;
+    if (ALERT_TYPES[rule.type].needsThreshold && !Number.isFinite(rule.threshold)) {
+        return '该告警类型需要数值阈值 threshold';
+    }
+    if (!Number.isInteger(rule.consecutive) || rule.consecutive < 1) {
+        return 'consecutive 必须为正整数';
+    }
+    if (rule.serverId !== null && !servers.some(server => server.id == rule.serverId)) {
+        return '服务器不存在: ' + rule.serverId;
+    }
+    const unknownWebhooks = rule.webhooks.filter(id => !alertConfig.webhooks.some(w => w.id === id));
+    if (unknownWebhooks.length > 0) return 'Webhook不存在: ' + unknownWebhooks.join(', ');
+    return null;
+}
+
+// 从请求体构建告警规则
+function buildAlertRule(body, existing = {}) {
+    const merged = { ...existing, ...body };
+    return {
+        id: existing.id || crypto.randomBytes(4).toString('hex'),
+        name: merged.name,
+        enabled: merged.enabled !== false,
+        type: merged.type,
+        threshold: merged.threshold === undefined || merged.threshold === null ? null : Number(merged.threshold),
+        consecutive: merged.consecutive === undefined ? 1 : Number(merged.consecutive),
+        // 作用范围: 指定服务器ID或分类，均未指定时作用于所有服务器
+        serverId: merged.serverId ?? null,
+        category: merged.category || null,
+        webhooks: Array.isArray(merged.webhooks) ? merged.webhooks : []
+    };
+}
+
+// 规则是否作用于该服务器
+function alertRuleMatches(rule, server) {
+    if (rule.serverId !== null && rule.serverId !== undefined && rule.serverId != server.id) return false;
+    if (rule.category && rule.category !== (server.category || '未分类')) return false;
+    return true;
+}
+
+// 判断告警条件是否满足
+function checkAlertCondition(rule, status, state) {
+    const players = status.players?.online || 0;
+
+    switch (rule.type) {
+        case 'offline':
+            return { matched: !status.online, value: status.error || null };
+        case 'latency_above':
+            return { matched: !!status.online && status.latency > rule.threshold, value: status.latency };
+        case 'players_above':
+            return { matched: !!status.online && players > rule.threshold, value: players };
+        case 'players_below':
+            return { matched: !!status.online && players < rule.threshold, value: players };
+        case 'version_changed': {
+            const matched = !!status.online && !!state.lastVersion && status.version !== state.lastVersion;
+            const value = { from: state.lastVersion, to: status.version };
+            if (status.online) state.lastVersion = status.version;
+            return { matched, value };
+        }
+        default:
+            return { matched: false, value: null };
+    }
+}
+
+// 生成告警描述
+function formatAlertMessage(rule, server, event, value) {
+    const name = server.name || `${server.address}:${server.port}`;
+
+    if (event === 'resolved') {
+        return `✅ [${rule.name}] 服务器 "${name}" 已恢复`;
+    }
+
+    switch (rule.type) {
+        case 'offline':
+            return `🔴 [${rule.name}] 服务器 "${name}" 已离线 (连续${rule.consecutive}次)${value ? ': ' + value : ''}`;
+        case 'latency_above':
+            return `🟠 [${rule.name}] 服务器 "${name}" 延迟 ${value}ms 超过 ${rule.threshold}ms`;
+        case 'players_above':
+            return `🟠 [${rule.name}] 服务器 "${name}" 在线玩家 ${value} 超过 ${rule.threshold}`;
+        case 'players_below':
+            return `🟠 [${rule.name}] 服务器 "${name}" 在线玩家 ${value} 低于 ${rule.threshold}`;
+        case 'version_changed':
+            return `🔵 [${rule.name}] 服务器 "${name}" 版本由 ${value.from} 变更为 ${value.to}`;
+        default:
+            return `[${rule.name}] 服务器 "${name}" 触发告警`;
+    }
+}
+
+// 对一次查询结果评估所有规则，仅在状态切换时发送通知
+function evaluateAlertRules(server, status) {
+    for (const rule of alertConfig.rules) {
+        if (!rule.enabled || !alertRuleMatches(rule, server)) continue;
+
+        const key = `${rule.id}:${server.id}`;
+        const state = alertStates.get(key) || { status: 'ok', count: 0, since: null, lastVersion: null };
+        alertStates.set(key, state);
+
+        const { matched, value } = checkAlertCondition(rule, status, state);
+
+        if (matched) {
+            state.count++;
+            state.value = value;
+            if (state.status !== 'firing' && state.count >= rule.consecutive) {
+                state.status = 'firing';
+                state.since = Date.now();
+                state.message = formatAlertMessage(rule, server, 'firing', value);
+                dispatchAlert(rule, server, state, 'firing');
+            }
+        } else {
+            if (state.status === 'firing') {
+                // 版本变更为一次性事件，不发送恢复通知
+                if (rule.type !== 'version_changed') {
+                    state.message = formatAlertMessage(rule, server, 'resolved', value);
+                    dispatchAlert(rule, server, state, 'resolved');
+                }
+                state.status = 'ok';
+                state.since = null;
+            }
+            state.count = 0;
+        }
+    }
+}
+
+// 发送告警到规则关联的所有Webhook
+function dispatchAlert(rule, server, state, event) {
+    console.log(state.message);
+
+    const alert = {
+        event,
+        rule: {
+            id: rule.id,
+            name: rule.name,
+            type: rule.type,
+            threshold: rule.threshold
+        },
+        server: {
+            id: server.id,
+            name: server.name,
+            address: server.address,
+            port: server.port,
+            category: server.category || '未分类'
+        },
+        value: state.value,
+        message: state.message,
+        startedAt: state.since ? new Date(state.since).toISOString() : null,
+        timestamp: new Date().toISOString()
+    };
+
+    for (const webhookId of rule.webhooks) {
+        const webhook = alertConfig.webhooks.find(w => w.id === webhookId);
+        if (!webhook) continue;
+
+        sendWebhook(webhook, alert).catch(error => {
+            console.error(`Webhook发送失败 (${webhook.name || webhook.id}):`, error.message);
+        });
+    }
+}
+
+// 构建Webhook请求体
+function buildWebhookPayload(webhook, alert) {
+    if (webhook.format === 'discord') {
+        const colors = { firing: 0xEF4444, resolved: 0x10B981 };
+        return {
+            username: 'Minecraft 服务器监控',
+            embeds: [{
+                title: `${alert.event === 'firing' ? '告警触发' : '告警恢复'}: ${alert.rule.name}`,
+                description: alert.message,
+                color: colors[alert.event],
+                fields: [
+                    { name: '服务器', value: `${alert.server.name} (${alert.server.address}:${alert.server.port})`, inline: true },
+                    { name: '分类', value: alert.server.category, inline: true },
+                    { name: '类型', value: ALERT_TYPES[alert.rule.type]?.label || alert.rule.type, inline: true }
+                ],
+                timestamp: alert.timestamp
+            }]
+        };
+    }
+
+    return alert;
+}
+
+// 发送Webhook，失败时重试
+async function sendWebhook(webhook, alert) {
+    const body = JSON.stringify(buildWebhookPayload(webhook, alert));
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= WEBHOOK_RETRIES; attempt++) {
+        if (attempt > 0) {
+            await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+        }
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+            });
+
+            if (response.ok) return;
+            lastError = new Error(`HTTP ${response.status}`);
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+// 当前处于触发状态的告警
+function getActiveAlerts() {
+    const active = [];
+    for (const [key, state] of alertStates) {
+        if (state.status !== 'firing') continue;
+
+        const [ruleId, serverId] = key.split(':');
+        const rule = alertConfig.rules.find(r => r.id === ruleId);
+        active.push({
+            ruleId,
+            ruleName: rule ? rule.name : ruleId,
+            type: rule ? rule.type : null,
+            serverId,
+            since: new Date(state.since).toISOString(),
+            value: state.value,
+            message: state.message
+        });
+    }
+    return active;
+}
+
+// 移除与规则或服务器相关的告警状态
+function clearAlertStates(predicate) {
+    for (const key of alertStates.keys()) {
+        const [ruleId, serverId] = key.split(':');
+        if (predicate(ruleId, serverId)) alertStates.delete(key);
+    }
+}
+
+// 每次查询完成后评估告警
+statusEvents.on('result', (status, server) => {
+    if (server) evaluateAlertRules(server, status);
+});
+
+loadAlertConfig();
+
+// 后台轮询配置
+const POLLER_ENABLED = process.env.POLLER_ENABLED !== 'false';
+const DEFAULT_POLL_INTERVAL = (parseInt(process.env.POLL_INTERVAL) || 30) * 1000; // 默认30秒
+const MIN_POLL_INTERVAL = 5000;
+const MAX_POLL_BACKOFF = (parseInt(process.env.POLL_MAX_BACKOFF) || 600) * 1000; // 失败退避上限10分钟
+const POLLER_SYNC_INTERVAL = 60000; // 定期重新读取服务器列表
+
+// 后台轮询状态，jobs以服务器ID为键
+const pollerState = {
+    running: false,
+    jobs: new Map(),
+    syncTimer: null
+};
+
+// 获取服务器的轮询间隔 (pollInterval单位为秒)
+function getPollInterval(server) {
+    const interval = parseInt(server.pollInterval) * 1000 || DEFAULT_POLL_INTERVAL;
+    return Math.max(interval, MIN_POLL_INTERVAL);
+}
+
+// 连续失败时按指数退避延长下次轮询的间隔
+function getPollDelay(job) {
+    if (job.failures < 2) return job.interval;
+
+    const delay = job.interval * Math.pow(2, job.failures - 1);
+    return Math.min(delay, Math.max(MAX_POLL_BACKOFF, job.interval));
+}
+
+// 安排下一次轮询
+function schedulePoll(job, delay) {
+    clearTimeout(job.timer);
+    job.nextRunAt = Date.now() + delay;
+    job.timer = setTimeout(() => runPoll(job), delay);
+    job.timer.unref();
+}
+
+// 执行一次轮询
+async function runPoll(job) {
+    if (!pollerState.running || job.running) return;
+
+    job.running = true;
+    job.lastRunAt = Date.now();
+    job.abort = new AbortController();
+
+    try {
+        // 与同时进行的手动刷新共享同一次查询
+        const result = await refreshServerStatus(job.server, { signal: job.abort.signal });
+        job.lastResult = result;
+        job.lastDuration = Date.now() - job.lastRunAt;
+        job.lastError = result.online ? null : result.error;
+        job.failures = result.online ? 0 : job.failures + 1;
+        recordPollMetrics(job.server, result, job.lastDuration);
+    } catch (error) {
+        // 任务被移除时取消的查询不计入失败
+        if (error.name === 'AbortError') return;
+
+        job.lastDuration = Date.now() - job.lastRunAt;
+        job.lastError = error.message;
+        job.failures++;
+        recordPollMetrics(job.server, { online: false, error: error.message }, job.lastDuration);
+    } finally {
+        job.running = false;
+        job.abort = null;
+        job.runs++;
+    }
+
+    // 服务器可能已在轮询期间被删除
+    if (pollerState.running && pollerState.jobs.get(String(job.server.id)) === job) {
+        schedulePoll(job, getPollDelay(job));
+    }
+}
+
+// 根据服务器列表增删轮询任务，新任务在各自间隔内错开启动
+async function syncPoller() {
+    if (!pollerState.running) return;
+
+    const servers = await getServerList();
+    const activeIds = new Set();
+    const newJobs = [];
+
+    for (const server of servers) {
+        const key = String(server.id);
+        activeIds.add(key);
+
+        const job = pollerState.jobs.get(key);
+        if (job) {
+            const interval = getPollInterval(server);
+            const intervalChanged = job.interval !== interval;
+            job.server = server;
+            job.interval = interval;
+            if (intervalChanged && !job.running) {
+                schedulePoll(job, getPollDelay(job));
+            }
+            continue;
+        }
+
+        const newJob = {
+            server,
+            interval: getPollInterval(server),
+            timer: null,
+            abort: null,
+            running: false,
+            runs: 0,
+            failures: 0,
+            nextRunAt: null,
+            lastRunAt: null,
+            lastDuration: null,
+            lastError: null,
+            lastResult: null
+        };
+        pollerState.jobs.set(key, newJob);
+        newJobs.push(newJob);
+    }
+
+    // 错开首次轮询，避免同时发起大量查询
+    newJobs.forEach((job, index) => {
+        schedulePoll(job, Math.floor(index * job.interval / newJobs.length));
+    });
+
+    for (const [key, job] of pollerState.jobs) {
+        if (!activeIds.has(key)) {
+            clearTimeout(job.timer);
+            job.abort?.abort();
+            pollerState.jobs.delete(key);
+        }
+    }
+}
+
+// 启动后台轮询
+function startPoller() {
+    if (!POLLER_ENABLED || pollerState.running) return;
+
+    pollerState.running = true;
+    syncPoller().catch(error => console.error('同步轮询任务失败:', error));
+
+    pollerState.syncTimer = setInterval(() => {
+        syncPoller().catch(error => console.error('同步轮询任务失败:', error));
+    }, POLLER_SYNC_INTERVAL);
+    pollerState.syncTimer.unref();
+}
+
+// 服务器列表变更后立即同步轮询任务
+// 地址等查询配置变化的服务器在读取时会因缓存的queryKey不一致而重新查询
+function notifyServerListChanged() {
+    syncPoller().catch(error => console.error('同步轮询任务失败:', error));
+}
+
+// 轮询队列状态
+function getPollerStatus() {
+    const jobs = Array.from(pollerState.jobs.values())
+        .map(job => ({
+            id: job.server.id,
+            name: job.server.name,
+            interval: job.interval,
+            delay: getPollDelay(job),
+            running: job.running,
+            runs: job.runs,
+            failures: job.failures,
+            nextRunAt: job.nextRunAt ? new Date(job.nextRunAt).toISOString() : null,
+            lastRunAt: job.lastRunAt ? new Date(job.lastRunAt).toISOString() : null,
+            lastDuration: job.lastDuration,
+            lastError: job.lastError,
+            online: job.lastResult ? !!job.lastResult.online : null
+        }))
+        .sort((a, b) => (a.nextRunAt || '').localeCompare(b.nextRunAt || ''));
+
+    return {
+        enabled: POLLER_ENABLED,
+        running: pollerState.running,
+        defaultInterval: DEFAULT_POLL_INTERVAL,
+        maxBackoff: MAX_POLL_BACKOFF,
+        total: jobs.length,
+        active: jobs.filter(job => job.running).length,
+        backingOff: jobs.filter(job => job.delay > job.interval).length,
+        queryEngine: getQueryEngineStatus(),
+        jobs
+    };
+}
+
+// 状态历史配置
+const HISTORY_DIR = process.env.HISTORY_DIR || path.join('data', 'history');
+const HISTORY_RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS) || 30;
+const HISTORY_MAX_POINTS = parseInt(process.env.HISTORY_MAX_POINTS) || 50000; // 每台服务器最多保留的记录数
+const HISTORY_PRUNE_INTERVAL = 60 * 60 * 1000; // 每小时清理一次过期记录
+const HISTORY_MAX_SERIES_POINTS = 500; // 未指定精度时，返回序列的最大点数
+const HISTORY_MAX_ERRORS = 50; // 返回的最近错误记录数
+const HISTORY_READ_CHUNK = 64 * 1024; // 从文件末尾向前读取时每次读取的字节数
+
+// 每台服务器的写入队列，保证追加与清理串行执行
+const historyQueues = new Map();
+
+// 历史记录文件路径 (每台服务器一个JSON Lines文件)
+function getHistoryFile(serverId) {
+    return path.join(HISTORY_DIR, `${String(serverId).replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+// 在服务器对应的队列中串行执行任务
+function enqueueHistoryTask(serverId, task) {
+    const key = String(serverId);
+    const previous = historyQueues.get(key) || Promise.resolve();
+    const next = previous.then(task).catch(error => {
+        console.error(`状态历史写入失败 (${key}):`, error);
+    });
+
+    historyQueues.set(key, next);
+    next.then(() => {
+        if (historyQueues.get(key) === next) historyQueues.delete(key);
+    });
+
+    return next;
+}
+
+// 记录一次查询结果
+function recordHistory(serverId, result) {
+    const point = {
+        t: Date.now(),
+        online: !!result.online,
+        players: result.players?.online || 0,
+        max: result.players?.max || 0,
+        latency: result.latency ?? null,
+        version: result.version || null,
+        error: result.online ? null : (result.error || null)
+    };
+
+    return enqueueHistoryTask(serverId, async () => {
+        await fs.mkdir(HISTORY_DIR, { recursive: true });
+        await fs.appendFile(getHistoryFile(serverId), JSON.stringify(point) + '\n');
+    });
+}
+
+// 读取时间范围内的历史记录 (按时间顺序)，跳过损坏的行
+// 记录按时间顺序追加，因此从文件末尾向前分块读取，遇到早于from的记录即停止，不必解析整个文件
+async function readHistory(serverId, { from = -Infinity, to = Infinity } = {}) {
+    let handle;
+    try {
+        handle = await fs.open(getHistoryFile(serverId), 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const points = [];
+    try {
+        let position = (await handle.stat()).size;
+        let remainder = Buffer.alloc(0); // 上一块开头不完整的行
+
+        while (position > 0) {
+            const length = Math.min(HISTORY_READ_CHUNK, position);
+            position -= length;
+
+            const chunk = Buffer.alloc(length);
+            await handle.read(chunk, 0, length, position);
+            let data = Buffer.concat([chunk, remainder]);
+
+            // 块的第一行可能不完整，留到读取前一块时再处理 (按字节切分，不会截断多字节字符)
+            if (position > 0) {
+                const firstNewline = data.indexOf(0x0a);
+                if (firstNewline === -1) {
+                    remainder = data;
+                    continue;
+                }
+                remainder = data.subarray(0, firstNewline);
+                data = data.subarray(firstNewline + 1);
+            }
+
+            const lines = data.toString('utf8').split('\n');
+            for (let i = lines.length - 1; i >= 0; i--) {
+                if (!lines[i]) continue;
+
+                let point;
+                try {
+                    point = JSON.parse(lines[i]);
+                } catch (error) {
+                    continue; // 崩溃时可能留下不完整的行
+                }
+
+                if (point.t < from) return points.reverse();
+                if (point.t <= to) points.push(point);
+            }
+        }
+    } finally {
+        await handle.close();
+    }
+
+    return points.reverse();
+}
+
+// 清理单台服务器的过期记录
+function pruneHistory(serverId) {
+    return enqueueHistoryTask(serverId, async () => {
+        const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const points = await readHistory(serverId);
+        const kept = points.filter(point => point.t >= cutoff).slice(-HISTORY_MAX_POINTS);
+
+        if (kept.length === points.length) return;
+
+        const file = getHistoryFile(serverId);
+        if (kept.length === 0) {
+            await fs.unlink(file).catch(() => {});
+            return;
+        }
+
+        // 先写临时文件再重命名，避免清理过程中崩溃导致数据丢失
+        const tempFile = `${file}.tmp`;
+        await fs.writeFile(tempFile, kept.map(point => JSON.stringify(point)).join('\n') + '\n');
+        await fs.rename(tempFile, file);
+    });
+}
+
+// 清理所有服务器的过期记录
+async function pruneAllHistory() {
+    let files;
+    try {
+        files = await fs.readdir(HISTORY_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.jsonl'))) {
+        await pruneHistory(path.basename(file, '.jsonl'));
+    }
+}
+
+// 删除服务器的全部历史记录
+function deleteHistory(serverId) {
+    return enqueueHistoryTask(serverId, () => fs.unlink(getHistoryFile(serverId)).catch(() => {}));
+}
+
+// 解析时间参数 (ISO字符串或毫秒时间戳)
+function parseTimeParam(value, defaultValue) {
+    if (value === undefined || value === '') return defaultValue;
+
+    const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+    return isNaN(time) ? null : time;
+}
+
+// 解析精度参数: 30s、5m、1h、1d 或秒数
+function parseResolution(value) {
+    const match = /^(\d+)(s|m|h|d)?$/.exec(String(value).trim());
+    if (!match) return null;
+
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    const resolution = parseInt(match[1]) * units[match[2] || 's'];
+    return resolution > 0 ? resolution : null;
+}
+
+// 按时间桶降采样 (时间桶按精度对齐到整点)
+function downsampleHistory(points, resolution) {
+    const buckets = new Map();
+
+    for (const point of points) {
+        const bucketStart = Math.floor(point.t / resolution) * resolution;
+        if (!buckets.has(bucketStart)) buckets.set(bucketStart, []);
+        buckets.get(bucketStart).push(point);
+    }
+
+    return Array.from(buckets.entries()).map(([t, bucket]) => {
+        const online = bucket.filter(point => point.online);
+        const latencies = online.map(point => point.latency).filter(latency => latency !== null && latency !== undefined);
+        const average = (values) => values.length > 0
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+            : null;
+
+        return {
+            t,
+            samples: bucket.length,
+            uptime: online.length / bucket.length,
+            online: online.length > 0,
+            players: average(online.map(point => point.players)) ?? 0,
+            playersMax: online.length > 0 ? Math.max(...online.map(point => point.players)) : 0,
+            max: online.length > 0 ? online[online.length - 1].max : 0,
+            latency: average(latencies),
+            version: online.length > 0 ? online[online.length - 1].version : null
+        };
+    });
+}
+
+// 可用率统计配置
+const UPTIME_WINDOWS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+const UPTIME_MAX_GAP = 30 * 60 * 1000; // 相邻记录间隔超过30分钟的部分视为无数据
+const UPTIME_CACHE_TTL = 60 * 1000;
+const INCIDENT_LIMIT = 50;
+
+// 可用率计算结果缓存，以服务器ID为键
+const uptimeCache = new Map();
+
+// 从错误信息中提取故障原因 (如"连接超时"、"连接错误")
+function getIncidentReason(error) {
+    if (!error) return '未知错误';
+    return String(error).split(/[:：]/)[0].trim() || '未知错误';
+}
+
+// 根据状态历史计算各时间窗口的可用率及故障列表
+// 每条记录的状态持续到下一条记录，可用率按时间加权
+function calculateUptime(points, now = Date.now()) {
+    const sorted = [...points].sort((a, b) => a.t - b.t);
+    const totals = {};
+    for (const key of Object.keys(UPTIME_WINDOWS)) {
+        totals[key] = { online: 0, total: 0 };
+    }
+
+    const incidents = [];
+    let current = null;
+
+    sorted.forEach((point, index) => {
+        const next = sorted[index + 1];
+        const end = point.t + Math.min((next ? next.t : now) - point.t, UPTIME_MAX_GAP);
+
+        for (const [key, windowSize] of Object.entries(UPTIME_WINDOWS)) {
+            const covered = Math.max(0, end - Math.max(point.t, now - windowSize));
+            totals[key].total += covered;
+            if (point.online) totals[key].online += covered;
+        }
+
+        if (!point.online) {
+            if (!current) {
+                current = { start: point.t, end: null, checks: 0, error: point.error || null, reasons: new Map() };
+            }
+            const reason = getIncidentReason(point.error);
+            current.checks++;
+            current.reasons.set(reason, (current.reasons.get(reason) || 0) + 1);
+        } else if (current) {
+            current.end = point.t;
+            incidents.push(current);
+            current = null;
+        }
+    });
+
+    if (current) incidents.push(current);
+
+    const uptime = {};
+    for (const [key, { online, total }] of Object.entries(totals)) {
+        uptime[key] = total > 0 ? Math.round(online / total * 10000) / 10000 : null;
+    }
+
+    const formatted = incidents
+        .reverse()
+        .slice(0, INCIDENT_LIMIT)
+        .map(incident => {
+            // 取出现次数最多的原因
+            const reason = Array.from(incident.reasons.entries()).sort((a, b) => b[1] - a[1])[0][0];
+            return {
+                start: new Date(incident.start).toISOString(),
+                end: incident.end ? new Date(incident.end).toISOString() : null,
+                duration: (incident.end || now) - incident.start,
+                ongoing: incident.end === null,
+                checks: incident.checks,
+                reason,
+                error: incident.error
+            };
+        });
+
+    return { uptime, incidents: formatted };
+}
+
+// 获取服务器的可用率统计 (带缓存)
+async function getServerUptime(serverId) {
+    const key = String(serverId);
+    const cached = uptimeCache.get(key);
+    if (cached && Date.now() - cached.computedAt < UPTIME_CACHE_TTL) {
+        return cached.data;
+    }
+
+    // 最长的统计窗口之前的记录不影响结果 (窗口开始前的最后一条记录最多延续UPTIME_MAX_GAP)
+    const now = Date.now();
+    const from = now - Math.max(...Object.values(UPTIME_WINDOWS)) - UPTIME_MAX_GAP;
+    const data = calculateUptime(await readHistory(serverId, { from }), now);
+    uptimeCache.set(key, { computedAt: Date.now(), data });
+    return data;
+}
+
+// 启动时及定期清理过期历史
+pruneAllHistory().catch(error => console.error('清理状态历史失败:', error));
+setInterval(() => {
+    pruneAllHistory().catch(error => console.error('清理状态历史失败:', error));
+}, HISTORY_PRUNE_INTERVAL).unref();
+
+// 玩家追踪配置
+const PLAYERS_FILE = process.env.PLAYERS_FILE || path.join('data', 'players.json');
+const PLAYER_SESSION_TIMEOUT = 10 * 60 * 1000; // 采样不完整时，超过10分钟未出现视为离开
+const PLAYER_OFFLINE_FAILURES = 3; // 连续查询失败达到该次数才视为服务器离线并结束会话
+const PLAYER_MAX_SESSIONS = 20000;
+const PLAYER_SAVE_DELAY = 5000;
+const NULL_UUID = '00000000-0000-0000-0000-000000000000';
+
+// 玩家以小写名称为键，会话按开始时间顺序保存
+const playerStore = {
+    players: new Map(),
+    sessions: [],
+    active: new Map(), // `${serverId}:${玩家键}` -> 进行中的会话
+    failures: new Map(), // 服务器ID -> 连续查询失败次数
+    saveTimer: null
+};
+
+// 从文件读取玩家与会话记录
+async function loadPlayerStore() {
+    try {
+        const data = JSON.parse(await fs.readFile(PLAYERS_FILE, 'utf8'));
+        for (const player of data.players || []) {
+            playerStore.players.set(player.name.toLowerCase(), player);
+        }
+        playerStore.sessions = Array.isArray(data.sessions) ? data.sessions : [];
+
+        // 恢复上次运行时未结束的会话，过久未出现的直接结束
+        const cutoff = Date.now() - PLAYER_SESSION_TIMEOUT;
+        for (const session of playerStore.sessions) {
+            if (session.end !== null) continue;
+            if (session.lastSeen < cutoff) {
+                session.end = session.lastSeen;
+            } else {
+                playerStore.active.set(`${session.serverId}:${session.player}`, session);
+            }
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('读取玩家记录失败:', error);
+        }
+    }
+}
+
+// 玩家记录加载完成，读取或修改玩家数据前需要等待
+const playerStoreReady = loadPlayerStore();
+
+// 延迟合并写入，避免每次查询都重写文件
+function schedulePlayerSave() {
+    if (playerStore.saveTimer) return;
+
+    playerStore.saveTimer = setTimeout(async () => {
+        playerStore.saveTimer = null;
+        try {
+            await savePlayerStore();
+        } catch (error) {
+            console.error('保存玩家记录失败:', error);
+        }
+    }, PLAYER_SAVE_DELAY);
+    playerStore.saveTimer.unref();
+}
+
+// 保存玩家与会话记录 (写临时文件后重命名)
+async function savePlayerStore() {
+    const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    playerStore.sessions = playerStore.sessions
+        .filter(session => session.end === null || session.end >= cutoff)
+        .slice(-PLAYER_MAX_SESSIONS);
+
+    const data = {
+        players: Array.from(playerStore.players.values()),
+        sessions: playerStore.sessions
+    };
+
+    await fs.mkdir(path.dirname(PLAYERS_FILE), { recursive: true });
+    const tempFile = `${PLAYERS_FILE}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data));
+    await fs.rename(tempFile, PLAYERS_FILE);
+}
+
+// 从查询结果中提取玩家，complete表示列表是否包含全部在线玩家
+function extractPlayers(status) {
+    const players = status.players || {};
+
+    // Query返回完整的名称列表
+    if (Array.isArray(players.list)) {
+        return {
+            complete: true,
+            players: players.list.map(name => ({ name, uuid: null }))
+        };
+    }
+
+    // 状态响应的采样可能只包含部分玩家，部分服务器还会用采样显示自定义文字
+    const sample = (players.sample || [])
+        .filter(player => player && /^[A-Za-z0-9_]{1,16}$/.test(player.name || ''))
+        .map(player => ({
+            name: player.name,
+            uuid: player.id && player.id !== NULL_UUID ? player.id : null
+        }));
+
+    return {
+        complete: sample.length >= (players.online || 0),
+        players: sample
+    };
+}
+
+// 根据一次查询结果更新玩家会话
+async function trackPlayers(serverId, status) {
+    // 等待记录加载完成，否则加载结果会覆盖期间产生的会话
+    await playerStoreReady;
+
+    const now = Date.now();
+    const seen = new Set();
+
+    if (status.online) {
+        playerStore.failures.delete(String(serverId));
+        const { complete, players } = extractPlayers(status);
+
+        for (const { name, uuid } of players) {
+            const key = name.toLowerCase();
+            seen.add(key);
+
+            const player = playerStore.players.get(key) || { name, uuid: null, firstSeen: now };
+            player.name = name;
+            player.uuid = uuid || player.uuid;
+            player.lastSeen = now;
+            player.lastServerId = serverId;
+            playerStore.players.set(key, player);
+
+            const activeKey = `${serverId}:${key}`;
+            const session = playerStore.active.get(activeKey);
+            if (session) {
+                session.lastSeen = now;
+            } else {
+                const newSession = { player: key, serverId, start: now, end: null, lastSeen: now };
+                playerStore.sessions.push(newSession);
+                playerStore.active.set(activeKey, newSession);
+            }
+        }
+
+        // 列表不完整时，未出现在采样中的玩家不一定已经离开
+        for (const [activeKey, session] of playerStore.active) {
+            if (session.serverId != serverId || seen.has(session.player)) continue;
+            if (complete) {
+                session.end = now;
+            } else if (now - session.lastSeen > PLAYER_SESSION_TIMEOUT) {
+                session.end = session.lastSeen;
+            } else {
+                continue;
+            }
+            playerStore.active.delete(activeKey);
+        }
+    } else {
+        // 单次超时等偶发失败不代表玩家离开，连续失败多次后才结束该服务器的所有会话
+        const failures = (playerStore.failures.get(String(serverId)) || 0) + 1;
+        playerStore.failures.set(String(serverId), failures);
+        if (failures < PLAYER_OFFLINE_FAILURES) return;
+
+        for (const [activeKey, session] of playerStore.active) {
+            if (session.serverId != serverId) continue;
+            session.end = session.lastSeen;
+            playerStore.active.delete(activeKey);
+        }
+    }
+
+    schedulePlayerSave();
+}
+
+// 会话输出格式
+function formatSession(session, serverNames) {
+    const end = session.end ?? session.lastSeen;
+    return {
+        serverId: session.serverId,
+        serverName: serverNames.get(String(session.serverId)) || null,
+        start: new Date(session.start).toISOString(),
+        end: session.end === null ? null : new Date(session.end).toISOString(),
+        lastSeen: new Date(session.lastSeen).toISOString(),
+        duration: end - session.start,
+        active: session.end === null
+    };
+}
+
+// 玩家输出格式
+function formatPlayer(key, serverNames) {
+    const player = playerStore.players.get(key);
+    const sessions = playerStore.sessions.filter(session => session.player === key);
+    const activeSessions = sessions.filter(session => session.end === null);
+
+    return {
+        name: player.name,
+        uuid: player.uuid,
+        firstSeen: new Date(player.firstSeen).toISOString(),
+        lastSeen: new Date(player.lastSeen).toISOString(),
+        lastServerId: player.lastServerId,
+        lastServerName: serverNames.get(String(player.lastServerId)) || null,
+        online: activeSessions.length > 0,
+        onlineServers: activeSessions.map(session => session.serverId),
+        sessionCount: sessions.length,
+        playtime: sessions.reduce((total, session) => total + ((session.end ?? session.lastSeen) - session.start), 0)
+    };
+}
+
+// 按名称或UUID查找玩家
+function findPlayerKey(value) {
+    const key = String(value).toLowerCase();
+    if (playerStore.players.has(key)) return key;
+
+    const uuid = key.replace(/-/g, '');
+    for (const [playerKey, player] of playerStore.players) {
+        if (player.uuid && player.uuid.toLowerCase().replace(/-/g, '') === uuid) return playerKey;
+    }
+    return null;
+}
+
+// 删除服务器相关的所有会话
+async function deletePlayerSessions(serverId) {
+    await playerStoreReady;
+
+    playerStore.sessions = playerStore.sessions.filter(session => session.serverId != serverId);
+    for (const [activeKey, session] of playerStore.active) {
+        if (session.serverId == serverId) playerStore.active.delete(activeKey);
+    }
+    playerStore.failures.delete(String(serverId));
+    schedulePlayerSave();
+}
+
+// 服务器ID到名称的映射
+async function getServerNames() {
+    const servers = await getServerList();
+    return new Map(servers.map(server => [String(server.id), server.name]));
+}
+
+// 每次查询完成后更新玩家会话
+statusEvents.on('result', (status, server) => {
+    if (server) trackPlayers(server.id, status);
+});
+
+// Prometheus指标配置
+const METRICS_PREFIX = 'mcmonitor_';
+const QUERY_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // 秒
+
+// 指标数据，计数器从进程启动开始累计
+const metricsState = {
+    statuses: new Map(), // 服务器ID -> 最近一次查询结果
+    lastSuccess: new Map(), // 服务器ID -> 最近一次在线的时间
+    queryDurations: new Map(), // 服务器类型 -> { buckets, sum, count }
+    queryResults: new Map(), // `${服务器类型}|${结果}` -> 次数
+    queryErrors: new Map() // `${服务器类型}|${错误类型}` -> 次数
+};
+
+// 将查询错误归类为有限的几种类型，避免指标标签过多
+function classifyQueryError(result) {
+    if (result.errorCode) return result.errorCode.toLowerCase();
+
+    const message = result.error || '';
+    if (/超时|timeout|ETIMEDOUT/i.test(message)) return 'timeout';
+    if (/ECONNREFUSED/.test(message)) return 'connection_refused';
+    if (/ENOTFOUND|EAI_AGAIN|ESERVFAIL/.test(message)) return 'dns';
+    if (/EHOSTUNREACH|ENETUNREACH/.test(message)) return 'unreachable';
+    if (/ECONNRESET|连接关闭/.test(message)) return 'connection_closed';
+    return 'other';
+}
+
+// 记录一次轮询的耗时与结果
+function recordPollMetrics(server, result, duration) {
+    const type = server.type || 'java';
+
+    let histogram = metricsState.queryDurations.get(type);
+    if (!histogram) {
+        histogram = { buckets: QUERY_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        metricsState.queryDurations.set(type, histogram);
+    }
+
+    const seconds = duration / 1000;
+    QUERY_DURATION_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+
+    const outcome = result.online ? 'success' : 'failure';
+    const resultKey = `${type}|${outcome}`;
+    metricsState.queryResults.set(resultKey, (metricsState.queryResults.get(resultKey) || 0) + 1);
+
+    if (!result.online) {
+        const errorKey = `${type}|${classifyQueryError(result)}`;
+        metricsState.queryErrors.set(errorKey, (metricsState.queryErrors.get(errorKey) || 0) + 1);
+    }
+}
+
+// 删除服务器的指标数据
+function deleteServerMetrics(serverId) {
+    metricsState.statuses.delete(String(serverId));
+    metricsState.lastSuccess.delete(String(serverId));
+}
+
+// 转义指标标签值
+function escapeLabelValue(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// 格式化标签集合
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return '{' + entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',') + '}';
+}
+
+// 生成Prometheus文本格式的指标
+function renderMetrics(servers) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${METRICS_PREFIX}${name} ${help}`);
+        lines.push(`# TYPE ${METRICS_PREFIX}${name} ${type}`);
+        for (const [labels, value, suffix = ''] of samples) {
+            lines.push(`${METRICS_PREFIX}${name}${suffix}${formatLabels(labels)} ${value}`);
+        }
+    };
+
+    const serverSamples = (getValue) => servers
+        .map(server => {
+            const status = metricsState.statuses.get(String(server.id));
+            const value = getValue(server, status);
+            if (value === null || value === undefined) return null;
+            return [{
+                id: server.id,
+                name: server.name,
+                address: `${server.address}:${server.port}`,
+                category: server.category || '未分类',
+                type: server.type || 'java'
+            }, value];
+        })
+        .filter(Boolean);
+
+    metric('server_up', 'gauge', '服务器是否在线 (1为在线，0为离线)',
+        serverSamples((server, status) => status ? (status.online ? 1 : 0) : null));
+    metric('server_players_online', 'gauge', '在线玩家数',
+        serverSamples((server, status) => status?.online ? status.players?.online || 0 : null));
+    metric('server_players_max', 'gauge', '最大玩家数',
+        serverSamples((server, status) => status?.online ? status.players?.max || 0 : null));
+    metric('server_latency_seconds', 'gauge', '服务器延迟',
+        serverSamples((server, status) => status?.online && typeof status.latency === 'number' ? status.latency / 1000 : null));
+    metric('server_last_success_timestamp_seconds', 'gauge', '最近一次查询成功的时间',
+        serverSamples((server) => {
+            const time = metricsState.lastSuccess.get(String(server.id));
+            return time ? Math.floor(time / 1000) : null;
+        }));
+    metric('server_consecutive_failures', 'gauge', '后台轮询连续失败次数',
+        serverSamples((server) => pollerState.jobs.get(String(server.id))?.failures ?? null));
+
+    const durationSamples = [];
+    for (const [type, histogram] of metricsState.queryDurations) {
+        QUERY_DURATION_BUCKETS.forEach((bound, index) => {
+            durationSamples.push([{ type, le: bound }, histogram.buckets[index], '_bucket']);
+        });
+        durationSamples.push([{ type, le: '+Inf' }, histogram.count, '_bucket']);
+        durationSamples.push([{ type }, Math.round(histogram.sum * 1000) / 1000, '_sum']);
+        durationSamples.push([{ type }, histogram.count, '_count']);
+    }
+    metric('poller_query_duration_seconds', 'histogram', '后台轮询单次查询耗时', durationSamples);
+
+    metric('poller_queries_total', 'counter', '后台轮询查询次数',
+        Array.from(metricsState.queryResults, ([key, count]) => {
+            const [type, result] = key.split('|');
+            return [{ type, result }, count];
+        }));
+    metric('poller_query_errors_total', 'counter', '后台轮询查询失败次数 (按错误类型)',
+        Array.from(metricsState.queryErrors, ([key, count]) => {
+            const [type, error_type] = key.split('|');
+            return [{ type, error_type }, count];
+        }));
+
+    metric('poller_jobs', 'gauge', '后台轮询任务数', [[{}, pollerState.jobs.size]]);
+    metric('poller_running_queries', 'gauge', '正在执行的轮询查询数',
+        [[{}, Array.from(pollerState.jobs.values()).filter(job => job.running).length]]);
+    metric('query_engine_running', 'gauge', '查询引擎正在执行的查询数', [[{}, queryEngine.running]]);
+    metric('query_engine_queued', 'gauge', '查询引擎排队等待的查询数', [[{}, queryEngine.queue.length]]);
+    metric('sse_clients', 'gauge', '实时推送连接数', [[{}, streamClients.size]]);
+
+    return lines.join('\n') + '\n';
+}
+
+// 每次查询完成后更新服务器指标
+statusEvents.on('result', (status, server) => {
+    if (!server) return;
+    metricsState.statuses.set(String(server.id), status);
+    if (status.online) metricsState.lastSuccess.set(String(server.id), Date.now());
+});
+
+// 取消正在进行的状态刷新，避免查询结果在服务器删除后重新写入缓存和历史
+function cancelStatusRefresh(serverId) {
+    const refresh = statusRefreshes.get(String(serverId));
+    if (!refresh) return;
+
+    statusRefreshes.delete(String(serverId));
+    refresh.controller.abort();
+}
+
+// 删除服务器关联的历史记录、玩家会话、状态缓存与告警状态
+async function deleteServerData(serverId) {
+    cancelStatusRefresh(serverId);
+    await deleteHistory(serverId);
+    await deletePlayerSessions(serverId);
+    deleteServerMetrics(serverId);
+    uptimeCache.delete(String(serverId));
+    statusCache.delete(String(serverId));
+    statusSignatures.delete(serverId);
+    clearAlertStates((ruleId, alertServerId) => alertServerId == serverId);
+}
+
+// 批量导入配置
+const IMPORT_MODES = ['merge', 'replace'];
+const IMPORT_MAX_ROWS = 1000;
+
+// 解析CSV文本 (首行为字段名，支持双引号转义)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    text = text.replace(/^\uFEFF/, ''); // 去除BOM
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...lines] = rows.filter(line => line.some(value => value.trim() !== ''));
+    if (!header) return [];
+
+    const keys = header.map(key => key.trim());
+    return lines.map(line => Object.fromEntries(keys.map((key, index) => [key, line[index] ?? ''])));
+}
+
+// 解析导入数据: 导出的JSON数组、/api/servers的返回结果或CSV
+function parseImportData(format, data) {
+    if (format === 'csv') {
+        if (typeof data !== 'string') throw new Error('CSV数据必须是字符串');
+        return parseCsv(data);
+    }
+
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const rows = Array.isArray(parsed) ? parsed : parsed?.servers;
+    if (!Array.isArray(rows)) throw new Error('JSON数据必须是服务器数组');
+    return rows;
+}
+
+// 服务器去重键 (地址:端口)
+function getServerKey(server) {
+    return `${String(server.address).toLowerCase()}:${server.port}`;
+}
+
+// 生成导入计划，dryRun预览与实际导入共用
+function planServerImport(rows, servers, mode) {
+    const existingByKey = new Map(servers.map(server => [getServerKey(server), server]));
+    const seen = new Map();
+    const results = [];
+    const matched = new Set();
+
+    rows.forEach((row, index) => {
+        const rowNumber = index + 1;
+
+        // 导出文件包含状态字段，仅取配置字段
+        const input = row && typeof row === 'object'
+            ? Object.fromEntries(Object.entries(row).filter(([key]) => Object.prototype.hasOwnProperty.call(SERVER_FIELDS, key)))
+            : row;
+        const { value, errors } = validateServerEntry(input);
+
+        if (errors) {
+            results.push({ row: rowNumber, action: 'error', name: row?.name || null, errors });
+            return;
+        }
+
+        const key = getServerKey(value);
+        if (seen.has(key)) {
+            results.push({ row: rowNumber, action: 'duplicate', key, name: value.name, duplicateOf: seen.get(key) });
+            return;
+        }
+        seen.set(key, rowNumber);
+
+        const existing = existingByKey.get(key);
+        if (!existing) {
+            results.push({ row: rowNumber, action: 'add', key, name: value.name, value });
+            return;
+        }
+
+        matched.add(existing.id);
+        // 未设置、空字符串与false视为相同的值
+        const normalize = (fieldValue) => fieldValue === undefined || fieldValue === '' || fieldValue === false ? null : fieldValue;
+        const changes = Object.keys(value).filter(field =>
+            field !== 'rconPort' && field !== 'rconPassword' && normalize(existing[field]) !== normalize(value[field]));
+        const rconChanged = value.rconPassword !== undefined &&
+            (existing.rcon?.password !== value.rconPassword || existing.rcon?.port !== (value.rconPort || DEFAULT_RCON_PORT));
+        if (rconChanged) changes.push('rcon');
+
+        results.push({
+            row: rowNumber,
+            action: changes.length > 0 ? 'update' : 'unchanged',
+            key,
+            name: value.name,
+            serverId: existing.id,
+            changes,
+            value
+        });
+    });
+
+    // 替换模式下删除导入数据中不存在的服务器
+    const removed = mode === 'replace' ? servers.filter(server => !matched.has(server.id)) : [];
+
+    const summary = { add: 0, update: 0, unchanged: 0, duplicate: 0, error: 0, remove: removed.length };
+    for (const result of results) summary[result.action]++;
+
+    return {
+        mode,
+        summary,
+        rows: results,
+        removed: removed.map(server => ({ id: server.id, name: server.name, key: getServerKey(server) }))
+    };
+}
+
+// 按导入计划生成新的服务器列表
+function applyServerImport(plan, servers, allocateId) {
+    const removedIds = new Set(plan.removed.map(server => server.id));
+    const updated = servers
+        .filter(server => !removedIds.has(server.id))
+        .map(server => ({ ...server }));
+
+    for (const result of plan.rows) {
+        if (result.action === 'add') {
+            updated.push(applyServerChanges({ id: allocateId() }, result.value));
+        } else if (result.action === 'update') {
+            const server = updated.find(s => s.id === result.serverId);
+            applyServerChanges(server, result.value);
+        }
+    }
+
+    return updated;
+}
+
+// 认证配置
+const AUTH_FILE = process.env.AUTH_FILE || path.join('data', 'auth.json');
+// 未设置ADMIN_PASSWORD时，随机生成的初始密码写入该文件而不是输出到日志
+const ADMIN_PASSWORD_FILE = process.env.ADMIN_PASSWORD_FILE || path.join(path.dirname(AUTH_FILE), 'admin-password.txt');
+const PUBLIC_READ = process.env.PUBLIC_READ !== 'false'; // 未登录时是否允许查看状态
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_TIME = 15 * 60 * 1000;
+
+// 角色权限等级，高等级包含低等级的全部权限
+const ROLES = {
+    viewer: 1,
+    editor: 2,
+    admin: 3
+};
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// 账号与API令牌持久化保存，登录会话仅保存在内存中
+let authConfig = { users: [], tokens: [] };
+const authSessions = new Map(); // 会话令牌哈希 -> { username, expiresAt }
+const loginFailures = new Map();
+
+// 计算密码哈希
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+// 校验密码
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// 令牌只保存SHA-256哈希
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 读取账号配置，首次运行时创建管理员账号
+async function loadAuthConfig() {
+    try {
+        const data = JSON.parse(await fs.readFile(AUTH_FILE, 'utf8'));
+        authConfig = {
+            users: Array.isArray(data.users) ? data.users : [],
+            tokens: Array.isArray(data.tokens) ? data.tokens : []
+        };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('读取账号配置失败:', error);
+            return authConfig;
+        }
+    }
+
+    if (authConfig.users.length === 0) {
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+        authConfig.users.push({
+            username,
+            role: 'admin',
+            password: await hashPassword(password),
+            createdAt: new Date().toISOString()
+        });
+        await saveAuthConfig();
+
+        console.log(`🔑 已创建管理员账号: ${username}`);
+        if (!process.env.ADMIN_PASSWORD) {
+            await saveInitialPassword(username, password);
+            console.log(`🔑 初始密码已写入 ${ADMIN_PASSWORD_FILE} (请登录后立即修改并删除该文件)`);
+        }
+    }
+
+    return authConfig;
+}
+
+// 将随机生成的初始密码写入仅所有者可读的文件
+async function saveInitialPassword(username, password) {
+    await fs.mkdir(path.dirname(ADMIN_PASSWORD_FILE), { recursive: true });
+    await fs.writeFile(ADMIN_PASSWORD_FILE, `${username}:${password}\n`, { mode: 0o600 });
+    await fs.chmod(ADMIN_PASSWORD_FILE, 0o600); // 文件已存在时writeFile不会修改权限
+}
+
+// 保存账号配置
+async function saveAuthConfig() {
+    await fs.mkdir(path.dirname(AUTH_FILE), { recursive: true });
+    await fs.writeFile(AUTH_FILE, JSON.stringify(authConfig, null, 2), { mode: 0o600 });
+}
+
+const authReady = loadAuthConfig();
+
+// 账号配置无法初始化时不能继续运行，否则受保护的接口都无法正常响应
+authReady.catch(error => {
+    console.error('❌ 初始化账号配置失败:', error.message);
+    process.exit(1);
+});
+
+// 从请求中识别用户 (会话令牌或API令牌)，未认证时返回null
+function authenticateRequest(req) {
+    const header = req.headers.authorization || '';
+    // EventSource无法设置请求头，推送接口允许通过查询参数传递令牌
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : (req.path === '/api/stream' ? req.query.token : null);
+    if (!token) return null;
+
+    const tokenHash = hashToken(String(token));
+
+    const session = authSessions.get(tokenHash);
+    if (session) {
+        const user = authConfig.users.find(u => u.username === session.username);
+        if (user && session.expiresAt > Date.now()) {
+            return { username: user.username, role: user.role, type: 'session', tokenHash };
+        }
+        authSessions.delete(tokenHash);
+        return null;
+    }
+
+    const apiToken = authConfig.tokens.find(t => t.hash === tokenHash);
+    if (apiToken) {
+        apiToken.lastUsed = new Date().toISOString();
+        return { username: `token:${apiToken.name}`, role: apiToken.role, type: 'token', tokenId: apiToken.id };
+    }
+
+    return null;
+}
+
+// 要求请求具有指定角色，viewer在公开只读模式下允许匿名访问
+function requireRole(role) {
+    return async (req, res, next) => {
+        await authReady;
+        req.user = authenticateRequest(req);
+
+        if (role === 'viewer' && PUBLIC_READ) return next();
+
+        if (!req.user) {
+            return res.status(401).json({ error: '请先登录' });
+        }
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ error: '权限不足，需要' + role + '角色' });
+        }
+        next();
+    };
+}
+
+// 用户是否拥有指定角色 (或更高等级)
+function hasRole(user, role) {
+    return !!user && ROLES[user.role] >= ROLES[role];
+}
+
+// 强制重新查询会向服务器发起额外连接，与手动刷新一样需要editor角色
+// 通过检查时返回true，否则已发送错误响应
+function requireRefreshRole(req, res) {
+    if (hasRole(req.user, 'editor')) return true;
+
+    res.status(req.user ? 403 : 401).json({
+        error: req.user ? '权限不足，强制刷新需要editor角色' : '请先登录，强制刷新需要editor角色'
+    });
+    return false;
+}
+
+// 撤销用户的所有登录会话
+function revokeUserSessions(username) {
+    for (const [tokenHash, session] of authSessions) {
+        if (session.username === username) authSessions.delete(tokenHash);
+    }
+}
+
+// 账号输出格式 (不包含密码哈希)
+function sanitizeUser(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+// 校验角色名称
+function validateRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+// 定期清理过期会话
+setInterval(() => {
+    const now = Date.now();
+    for (const [tokenHash, session] of authSessions) {
+        if (session.expiresAt <= now) authSessions.delete(tokenHash);
+    }
+}, 60 * 60 * 1000).unref();
+
+// 状态徽章与嵌入组件配置
+const BADGES_PUBLIC = process.env.PUBLIC_BADGES !== 'false'; // 徽章默认无需登录，便于嵌入外部网站
+const BADGE_CACHE_MAX_AGE = Math.round(DEFAULT_POLL_INTERVAL / 1000);
+const BADGE_VARIANTS = ['status', 'players', 'version'];
+const BADGE_COLORS = {
+    online: '#10b981',
+    offline: '#ef4444',
+    info: '#3b82f6',
+    unknown: '#9ca3af'
+};
+const BADGE_THEMES = {
+    flat: { labelColor: '#555', radius: 3, gradient: true },
+    'flat-square': { labelColor: '#555', radius: 0, gradient: false },
+    dark: { labelColor: '#1f2937', radius: 3, gradient: false }
+};
+const WIDGET_THEMES = {
+    light: { background: '#ffffff', text: '#1f2937', muted: '#6b7280', border: '#e5e7eb' },
+    dark: { background: '#1f2937', text: '#f9fafb', muted: '#9ca3af', border: '#374151' }
+};
+
+// 转义XML/HTML特殊字符
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 估算文字宽度 (11px Verdana，中日韩字符按全角计算)
+function measureBadgeText(text) {
+    let width = 0;
+    for (const char of String(text)) {
+        width += /[⺀-￿]/.test(char) ? 11 : 7;
+    }
+    return width;
+}
+
+// 只从缓存中获取服务器状态，尚无缓存时返回查询中的占位状态
+// 徽章默认无需登录，不能由外部请求触发查询，缓存由后台轮询更新
+async function getCachedServerStatus(serverId) {
+    const servers = await getServerList();
+    const server = servers.find(s => s.id == serverId);
+    if (!server) return null;
+
+    return getCachedStatus(server) || buildPendingStatus(server);
+}
+
+// 生成徽章文字与颜色
+function getBadgeContent(status, variant) {
+    if (status.pending) {
+        return { message: '未知', color: BADGE_COLORS.unknown };
+    }
+    if (!status.online) {
+        return { message: '离线', color: BADGE_COLORS.offline };
+    }
+
+    switch (variant) {
+        case 'players':
+            return { message: `${status.players?.online || 0}/${status.players?.max || 0}`, color: BADGE_COLORS.info };
+        case 'version':
+            return { message: status.version || '未知', color: status.version ? BADGE_COLORS.info : BADGE_COLORS.unknown };
+        default:
+            return { message: '在线', color: BADGE_COLORS.online };
+    }
+}
+
+// 生成shields.io风格的SVG徽章
+function renderBadge(label, message, color, theme) {
+    const padding = 10;
+    const labelWidth = measureBadgeText(label) + padding;
+    const messageWidth = measureBadgeText(message) + padding;
+    const width = labelWidth + messageWidth;
+    const title = `${label}: ${message}`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeXml(title)}">
+<title>${escapeXml(title)}</title>
+${theme.gradient ? `<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>` : ''}
+<clipPath id="r"><rect width="${width}" height="20" rx="${theme.radius}" fill="#fff"/></clipPath>
+<g clip-path="url(#r)">
+<rect width="${labelWidth}" height="20" fill="${theme.labelColor}"/>
+<rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+${theme.gradient ? `<rect width="${width}" height="20" fill="url(#s)"/>` : ''}
+</g>
+<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+<text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>
+<text x="${labelWidth + messageWidth / 2}" y="14">${escapeXml(message)}</text>
+</g>
+</svg>`;
+}
+
+// 生成可通过iframe嵌入的状态组件
+function renderWidget(status, theme) {
+    const colors = WIDGET_THEMES[theme];
+    const favicon = /^data:image\/png;base64,[a-zA-Z0-9+/=]+$/.test(status.favicon || '') ? status.favicon : null;
+    const motd = (status.motd?.spans || []).map(span => {
+        const color = /^#[0-9a-f]{6}$/i.test(span.color || '') ? span.color : null;
+        const text = escapeXml(span.text).replace(/\n/g, '<br>');
+        return color ? `<span style="color: ${color}">${text}</span>` : text;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="refresh" content="${BADGE_CACHE_MAX_AGE * 2}">
+<title>${escapeXml(status.name)}</title>
+<style>
+body { margin: 0; font-family: 'Segoe UI', system-ui, sans-serif; background: ${colors.background}; color: ${colors.text}; }
+.widget { display: flex; gap: 12px; padding: 12px; border: 1px solid ${colors.border}; border-radius: 8px; align-items: center; }
+.icon { width: 48px; height: 48px; border-radius: 6px; image-rendering: pixelated; flex-shrink: 0; background: ${colors.border}; }
+.info { min-width: 0; flex: 1; }
+.name { font-weight: 700; font-size: 15px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.address, .meta { font-size: 12px; color: ${colors.muted}; }
+.motd { font-size: 12px; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+.dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 4px; }
+</style>
+</head>
+<body>
+<div class="widget">
+${favicon ? `<img class="icon" src="${favicon}" alt="">` : '<div class="icon"></div>'}
+<div class="info">
+<div class="name">${escapeXml(status.name)}</div>
+<div class="address">${escapeXml(`${status.address}:${status.port}`)}</div>
+${status.online && motd ? `<div class="motd">${motd}</div>` : ''}
+<div class="meta">
+<span class="dot" style="background: ${status.pending ? BADGE_COLORS.unknown : status.online ? BADGE_COLORS.online : BADGE_COLORS.offline}"></span>${status.pending ? '未知' : status.online ? '在线' : '离线'}
+${status.online ? ` · ${status.players?.online || 0}/${status.players?.max || 0} 玩家 · ${escapeXml(status.version || '未知版本')}` : ''}
+</div>
+</div>
+</div>
+</body>
+</html>`;
+}
+
+// 徽章与组件的访问控制
+const badgeAccess = BADGES_PUBLIC ? (req, res, next) => next() : requireRole('viewer');
+
+// API路由
+
+// 登录，返回会话令牌
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        await authReady;
+
+        // 连续登录失败后暂时锁定来源IP
+        const failure = loginFailures.get(req.ip);
+        if (failure && failure.count >= LOGIN_MAX_FAILURES && failure.lockedUntil > Date.now()) {
+            return res.status(429).json({ error: '登录失败次数过多，请稍后再试' });
+        }
+
+        const { username, password } = req.body || {};
+        const user = authConfig.users.find(u => u.username === username);
+        const valid = user && typeof password === 'string' && await verifyPassword(password, user.password);
+
+        if (!valid) {
+            const count = (failure && failure.lockedUntil > Date.now() ? failure.count : 0) + 1;
+            loginFailures.set(req.ip, { count, lockedUntil: Date.now() + LOGIN_LOCK_TIME });
+            return res.status(401).json({ error: '用户名或密码错误' });
+        }
+
+        loginFailures.delete(req.ip);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + SESSION_TTL;
+        authSessions.set(hashToken(token), { username: user.username, expiresAt });
+
+        res.json({
+            token,
+            user: sanitizeUser(user),
+            expiresAt: new Date(expiresAt).toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({ error: '登录失败: ' + error.message });
+    }
+});
+
+// 退出登录
+app.post('/api/auth/logout', async (req, res) => {
+    await authReady;
+    const user = authenticateRequest(req);
+    if (user?.type === 'session') {
+        authSessions.delete(user.tokenHash);
+    }
+    res.json({ success: true });
+});
+
+// 获取当前登录状态
+app.get('/api/auth/me', async (req, res) => {
+    await authReady;
+    const user = authenticateRequest(req);
+    res.json({
+        user: user ? { username: user.username, role: user.role } : null,
+        publicRead: PUBLIC_READ
+    });
+});
+
+// 获取所有账号
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    res.json({ users: authConfig.users.map(sanitizeUser) });
+});
+
+// 添加账号
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const { username, password, role = 'viewer' } = req.body || {};
+
+        if (!username || !/^[A-Za-z0-9_.-]{1,32}$/.test(username)) {
+            return res.status(400).json({ error: '用户名只能包含字母、数字、下划线、点和减号' });
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            return res.status(400).json({ error: '密码长度至少为8位' });
+        }
+        if (!validateRole(role)) {
+            return res.status(400).json({ error: '无效的角色: ' + role });
+        }
+        if (authConfig.users.some(u => u.username === username)) {
+            return res.status(400).json({ error: '用户名已存在' });
+        }
+
+        const user = {
+            username,
+            role,
+            password: await hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        authConfig.users.push(user);
+        await saveAuthConfig();
+
+        res.json({ success: true, user: sanitizeUser(user) });
+    } catch (error) {
+        res.status(500).json({ error: '添加账号失败: ' + error.message });
+    }
+});
+
+// 修改账号角色或密码 (非管理员只能修改自己的密码)
+app.put('/api/users/:username', requireRole('viewer'), async (req, res) => {
+    try {
+        if (!req.user) {
+            return res.status(401).json({ error: '请先登录' });
+        }
+
+        const user = authConfig.users.find(u => u.username === req.params.username);
+        const isAdmin = req.user.role === 'admin';
+        if (!isAdmin && (req.user.type !== 'session' || req.user.username !== req.params.username)) {
+            return res.status(403).json({ error: '权限不足' });
+        }
+        if (!user) {
+            return res.status(404).json({ error: '账号未找到' });
+        }
+
+        const { password, role } = req.body || {};
+
+        if (role !== undefined) {
+            if (!isAdmin) return res.status(403).json({ error: '只有管理员可以修改角色' });
+            if (!validateRole(role)) return res.status(400).json({ error: '无效的角色: ' + role });
+            if (user.role === 'admin' && role !== 'admin' && authConfig.users.filter(u => u.role === 'admin').length === 1) {
+                return res.status(400).json({ error: '至少需要保留一个管理员账号' });
+            }
+        }
+        if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+            return res.status(400).json({ error: '密码长度至少为8位' });
+        }
+
+        if (role !== undefined) user.role = role;
+        if (password !== undefined) {
+            user.password = await hashPassword(password);
+            revokeUserSessions(user.username);
+        }
+        await saveAuthConfig();
+
+        res.json({ success: true, user: sanitizeUser(user) });
+    } catch (error) {
+        res.status(500).json({ error: '更新账号失败: ' + error.message });
+    }
+});
+
+// 删除账号
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+    try {
+        const index = authConfig.users.findIndex(u => u.username === req.params.username);
+        if (index === -1) {
+            return res.status(404).json({ error: '账号未找到' });
+        }
+
+        const user = authConfig.users[index];
+        if (user.role === 'admin' && authConfig.users.filter(u => u.role === 'admin').length === 1) {
+            return res.status(400).json({ error: '至少需要保留一个管理员账号' });
+        }
+
+        authConfig.users.splice(index, 1);
+        revokeUserSessions(user.username);
+        await saveAuthConfig();
+
+        res.json({ success: true, user: sanitizeUser(user) });
+    } catch (error) {
+        res.status(500).json({ error: '删除账号失败: ' + error.message });
+    }
+});
+
+// 获取API令牌列表
+app.get('/api/tokens', requireRole('admin'), (req, res) => {
+    res.json({
+        tokens: authConfig.tokens.map(({ hash, ...token }) => token)
+    });
+});
+
+// 创建API令牌，明文只在创建时返回一次
+app.post('/api/tokens', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, role = 'viewer' } = req.body || {};
+
+        if (!name) {
+            return res.status(400).json({ error: '令牌名称不能为空' });
+        }
+        if (!validateRole(role)) {
+            return res.status(400).json({ error: '无效的角色: ' + role });
+        }
+
+        const token = 'mcs_' + crypto.randomBytes(24).toString('hex');
+        const apiToken = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name,
+            role,
+            hash: hashToken(token),
+            createdAt: new Date().toISOString(),
+            lastUsed: null
+        };
+        authConfig.tokens.push(apiToken);
+        await saveAuthConfig();
+
+        const { hash, ...info } = apiToken;
+        res.json({ success: true, token, info });
+    } catch (error) {
+        res.status(500).json({ error: '创建令牌失败: ' + error.message });
+    }
+});
+
+// 撤销API令牌
+app.delete('/api/tokens/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const index = authConfig.tokens.findIndex(t => t.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ error: '令牌未找到' });
+        }
+
+        authConfig.tokens.splice(index, 1);
+        await saveAuthConfig();
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: '撤销令牌失败: ' + error.message });
+    }
+});
+
+// 获取所有服务器状态
+app.get('/api/servers', requireRole('viewer'), async (req, res) => {
+    try {
+        const useCache = req.query.nocache !== 'true';
+        if (!useCache && !requireRefreshRole(req, res)) return;
+
+        const serverData = await queryAllServers(useCache);
+        res.json(serverData);
+    } catch (error) {
+        console.error('获取服务器列表失败:', error);
+        res.status(500).json({ error: '获取服务器列表失败: ' + error.message });
+    }
+});
+
+// 获取所有服务器配置 (不查询状态)
+app.get('/api/servers/config', requireRole('viewer'), async (req, res) => {
+    try {
+        const servers = await getServerList();
+        res.json({ servers: servers.map(sanitizeServer) });
+    } catch (error) {
+        res.status(500).json({ error: '获取服务器配置失败: ' + error.message });
+    }
+});
+
+// 获取单个服务器配置 (不查询状态)
+app.get('/api/server/:id/config', requireRole('viewer'), async (req, res) => {
+    try {
+        const servers = await getServerList();
+        const server = servers.find(s => s.id == req.params.id);
+
+        if (!server) {
+            return res.status(404).json({ error: '服务器未找到' });
+        }
+
+        res.json(sanitizeServer(server));
+    } catch (error) {
+        res.status(500).json({ error: '获取服务器配置失败: ' + error.message });
+    }
+});
+
+// 获取单个服务器状态
+app.get('/api/server/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const forceRefresh = req.query.refresh === 'true';
+        if ((forceRefresh || req.query.samples) && !requireRefreshRole(req, res)) return;
+
+        const servers = await getServerList();
+        const server = servers.find(s => s.id == req.params.id);
+        
+        if (!server) {
+            return res.status(404).json({ error: '服务器未找到' });
+        }
+        
+        // 默认返回缓存的状态；?refresh=true 强制重新查询并与同时进行的刷新共享结果
+        // ?samples=N 可临时指定Ping采样次数，此时单独查询
+        if (req.query.samples) {
+            res.json({ ...(await queryServer(server, { pingSamples: req.query.samples })), stale: false });
+        } else if (forceRefresh) {
+            res.json({ ...(await refreshServerStatus(server)), stale: false });
+        } else {
+            res.json(await getServerStatus(server));
+        }
+    } catch (error) {
+        console.error('查询服务器失败:', error);
+        res.status(500).json({ error: '查询服务器失败: ' + error.message });
+    }
+});
+
+// 服务器状态徽章 (SVG)
+// ?type=status|players|version  ?theme=flat|flat-square|dark  ?label=自定义标签
+app.get('/api/server/:id/badge.svg', badgeAccess, async (req, res) => {
+    try {
+        const variant = req.query.type || 'status';
+        const theme = BADGE_THEMES[req.query.theme || 'flat'];
+        if (!BADGE_VARIANTS.includes(variant) || !theme) {
+            return res.status(400).json({ error: '无效的徽章类型或主题' });
+        }
+
+        const status = await getCachedServerStatus(req.params.id);
+
+        res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+        res.set('Cache-Control', `public, max-age=${BADGE_CACHE_MAX_AGE}`);
+
+        if (!status) {
+            return res.status(404).send(renderBadge('minecraft', '未找到', BADGE_COLORS.unknown, theme));
+        }
+
+        const label = String(req.query.label || status.name || 'minecraft').slice(0, 40);
+        const { message, color } = getBadgeContent(status, variant);
+        if (status.lastUpdated) res.set('Last-Modified', new Date(status.lastUpdated).toUTCString());
+
+        res.send(renderBadge(label, String(message).slice(0, 40), color, theme));
+    } catch (error) {
+        console.error('生成徽章失败:', error);
+        res.status(500).json({ error: '生成徽章失败: ' + error.message });
+    }
+});
+
+// 可嵌入的服务器状态组件 (HTML)
+// ?theme=light|dark
+app.get('/api/server/:id/widget', badgeAccess, async (req, res) => {
+    try {
+        const theme = req.query.theme || 'light';
+        if (!WIDGET_THEMES[theme]) {
+            return res.status(400).json({ error: '无效的主题: ' + theme });
+        }
+
+        const status = await getCachedServerStatus(req.params.id);
+        if (!status) {
+            return res.status(404).json({ error: '服务器未找到' });
+        }
+
+        res.set('Cache-Control', `public, max-age=${BADGE_CACHE_MAX_AGE}`);
+        if (status.lastUpdated) res.set('Last-Modified', new Date(status.lastUpdated).toUTCString());
+        res.type('html').send(renderWidget(status, theme));
+    } catch (error) {
+        console.error('生成状态组件失败:', error);
+        res.status(500).json({ error: '生成状态组件失败: ' + error.message });
+    }
+});
+
+// 获取服务器状态历史
+app.get('/api/server/:id/history', requireRole('viewer'), async (req, res) => {
+    try {
         const servers = await getServerList();
         const server = servers.find(s => s.id == req.params.id);
-        
+
         if (!server) {
             return res.status(404).json({ error: '服务器未找到' });
         }
-        
-        const result = await queryServer(server);
-        res.json(result);
+
+        const now = Date.now();
+        const from = parseTimeParam(req.query.from, now - 24 * 60 * 60 * 1000);
+        const to = parseTimeParam(req.query.to, now);
+
+        if (from === null || to === null || from > to) {
+            return res.status(400).json({ error: '无效的时间范围' });
+        }
+
+        // 未指定精度时自动选择，使返回的点数不超过上限
+        let resolution = Math.max(Math.ceil((to - from) / HISTORY_MAX_SERIES_POINTS), 1000);
+        if (req.query.resolution) {
+            resolution = parseResolution(req.query.resolution);
+            if (resolution === null) {
+                return res.status(400).json({ error: '无效的精度参数，示例: 30s、5m、1h、1d' });
+            }
+        }
+
+        const points = await readHistory(server.id, { from, to });
+
+        res.json({
+            id: server.id,
+            name: server.name,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            resolution,
+            count: points.length,
+            points: downsampleHistory(points, resolution),
+            // 时间范围内最近的查询错误
+            errors: points
+                .filter(point => point.error)
+                .slice(-HISTORY_MAX_ERRORS)
+                .map(point => ({ t: point.t, error: point.error }))
+                .reverse()
+        });
     } catch (error) {
-        console.error('查询服务器失败:', error);
-        res.status(500).json({ error: '查询服务器失败: ' + error.message });
+        console.error('获取状态历史失败:', error);
+        res.status(500).json({ error: '获取状态历史失败: ' + error.message });
     }
 });
 
-// 添加新服务器
-app.post('/api/servers', async (req, res) => {
+// 获取所有服务器的可用率汇总
+app.get('/api/uptime', requireRole('viewer'), async (req, res) => {
     try {
-        const { name, address, port = 25565, category, description } = req.body;
-        
-        if (!name || !address) {
-            return res.status(400).json({ error: '服务器名称和地址不能为空' });
+        const servers = await getServerList();
+        const since = Date.now() - UPTIME_WINDOWS['24h'];
+
+        const results = [];
+        for (const server of servers) {
+            const { uptime, incidents } = await getServerUptime(server.id);
+            results.push({
+                id: server.id,
+                name: server.name,
+                uptime,
+                incidents24h: incidents.filter(incident => !incident.end || Date.parse(incident.end) >= since).length,
+                ongoingIncident: incidents.some(incident => incident.ongoing)
+            });
         }
-        
+
+        // 整体可用率为各服务器可用率的平均值
+        const overall = {};
+        for (const key of Object.keys(UPTIME_WINDOWS)) {
+            const values = results.map(result => result.uptime[key]).filter(value => value !== null);
+            overall[key] = values.length > 0
+                ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10000) / 10000
+                : null;
+        }
+
+        res.json({ overall, servers: results });
+    } catch (error) {
+        console.error('获取可用率失败:', error);
+        res.status(500).json({ error: '获取可用率失败: ' + error.message });
+    }
+});
+
+// 获取服务器可用率及故障记录
+app.get('/api/server/:id/uptime', requireRole('viewer'), async (req, res) => {
+    try {
         const servers = await getServerList();
-        const newId = servers.length > 0 ? Math.max(...servers.map(s => s.id)) + 1 : 1;
-        
-        const newServer = {
-            id: newId,
-            name,
-            address,
-            port: parseInt(port) || 25565,
-            type: 'java',
-            category: category || '未分类',
-            description: description || ''
-        };
+        const server = servers.find(s => s.id == req.params.id);
+
+        if (!server) {
+            return res.status(404).json({ error: '服务器未找到' });
+        }
+
+        const { uptime, incidents } = await getServerUptime(server.id);
+        res.json({ id: server.id, name: server.name, uptime, incidents });
+    } catch (error) {
+        console.error('获取可用率失败:', error);
+        res.status(500).json({ error: '获取可用率失败: ' + error.message });
+    }
+});
+
+// 添加新服务器
+app.post('/api/servers', requireRole('editor'), async (req, res) => {
+    try {
+        const { value, errors } = validateServerEntry(req.body);
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
         
-        servers.push(newServer);
-        await saveServerList(servers);
+        let newServer;
+        await updateServerList((servers, { allocateId }) => {
+            newServer = applyServerChanges({ id: allocateId() }, value);
+            servers.push(newServer);
+        });
         
-        // 清除缓存
-        serverCache.lastUpdated = 0;
+        // 清除缓存并同步轮询任务
+        notifyServerListChanged();
         
-        res.json({ success: true, server: newServer });
+        res.json({ success: true, server: sanitizeServer(newServer) });
     } catch (error) {
         console.error('添加服务器失败:', error);
         res.status(500).json({ error: '添加服务器失败: ' + error.message });
     }
 });
 
-// // 删除服务器
-// app.delete('/api/server/:id', async (req, res) => {
-//     try {
-//         const servers = await getServerList();
-//         const index = servers.findIndex(s => s.id == req.params.id);
-//
-//         if (index === -1) {
-//             return res.status(404).json({ error: '服务器未找到' });
-//         }
-//
-//         const deleted = servers.splice(index, 1);
-//         await saveServerList(servers);
-//
-//         // 清除缓存
-//         serverCache.lastUpdated = 0;
-//
-//         res.json({ success: true, server: deleted[0] });
-//     } catch (error) {
-//         console.error('删除服务器失败:', error);
-//         res.status(500).json({ error: '删除服务器失败: ' + error.message });
-//     }
-// });
-// 修复的删除服务器API
-app.delete('/api/server/:id', async (req, res) => {
-    try {
-        console.log(`🗑️ 收到删除请求，ID: ${req.params.id}`);
+// 批量导入服务器，dryRun为true时只返回预览
+app.post('/api/servers/import', requireRole('editor'), async (req, res) => {
+    try {
+        const { format = 'json', data, mode = 'merge', dryRun = true } = req.body || {};
 
-        const servers = await getServerList();
-        console.log(`当前服务器数量: ${servers.length}`);
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ error: '不支持的导入格式: ' + format });
+        }
+        if (!IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({ error: '不支持的导入模式: ' + mode });
+        }
+
+        let rows;
+        try {
+            rows = parseImportData(format, data);
+        } catch (error) {
+            return res.status(400).json({ error: '解析导入数据失败: ' + error.message });
+        }
+
+        if (rows.length === 0) {
+            return res.status(400).json({ error: '导入数据为空' });
+        }
+        if (rows.length > IMPORT_MAX_ROWS) {
+            return res.status(400).json({ error: `单次最多导入${IMPORT_MAX_ROWS}个服务器` });
+        }
+
+        // 预览结果不返回配置值，避免回显RCON密码
+        const getPreview = plan => ({ ...plan, rows: plan.rows.map(({ value, ...row }) => row) });
 
+        if (dryRun !== false) {
+            const plan = planServerImport(rows, await getServerList(), mode);
+            return res.json({ dryRun: true, ...getPreview(plan) });
+        }
+
+        // 在串行修改中重新生成计划，确保基于最新的服务器列表
+        let plan;
+        await updateServerList((servers, { allocateId }) => {
+            plan = planServerImport(rows, servers, mode);
+            servers.splice(0, servers.length, ...applyServerImport(plan, servers, allocateId));
+        });
+        const preview = getPreview(plan);
+
+        notifyServerListChanged();
+        for (const server of plan.removed) {
+            await deleteServerData(server.id);
+        }
+
+        console.log(`📥 导入完成: 新增${plan.summary.add}，更新${plan.summary.update}，删除${plan.summary.remove}`);
+
+        res.json({ dryRun: false, ...preview });
+    } catch (error) {
+        console.error('导入服务器失败:', error);
+        res.status(500).json({ error: '导入服务器失败: ' + error.message });
+    }
+});
+
+// 删除服务器
+app.delete('/api/server/:id', requireRole('editor'), async (req, res) => {
+    try {
         // 确保ID是数字
         const serverId = parseInt(req.params.id);
         if (isNaN(serverId)) {
@@ -467,39 +4159,31 @@ app.delete('/api/server/:id', async (req, res) => {
             });
         }
 
-        // 查找要删除的服务器
-        const serverIndex = servers.findIndex(s => s.id === serverId);
-        console.log(`找到的索引: ${serverIndex}`);
+        // 查找并移除要删除的服务器，保存要删除的服务器信息用于返回
+        let deletedServer = null;
+        await updateServerList(servers => {
+            const serverIndex = servers.findIndex(s => s.id === serverId);
+            if (serverIndex === -1) return false;
 
-        if (serverIndex === -1) {
+            [deletedServer] = servers.splice(serverIndex, 1);
+        });
+
+        if (!deletedServer) {
             return res.status(404).json({
                 error: '服务器未找到',
                 details: `ID为 ${serverId} 的服务器不存在`
             });
         }
 
-        // 保存要删除的服务器信息用于返回
-        const deletedServer = servers[serverIndex];
-        console.log(`要删除的服务器: ${deletedServer.name} (ID: ${deletedServer.id})`);
-
-        // 从数组中移除
-        servers.splice(serverIndex, 1);
-        console.log(`删除后服务器数量: ${servers.length}`);
-
-        // 保存到文件
-        const saveResult = await saveServerList(servers);
-        if (!saveResult) {
-            throw new Error('保存服务器列表到文件失败');
-        }
-
-        // 清除缓存
-        serverCache.lastUpdated = 0;
+        // 清除缓存、同步轮询任务并删除历史记录与告警状态
+        notifyServerListChanged();
+        await deleteServerData(deletedServer.id);
 
         console.log(`✅ 成功删除服务器: ${deletedServer.name}`);
 
         res.json({
             success: true,
-            server: deletedServer,
+            server: sanitizeServer(deletedServer),
             message: `服务器 "${deletedServer.name}" 已成功删除`
         });
 
@@ -516,55 +4200,450 @@ app.delete('/api/server/:id', async (req, res) => {
 });
 
 // 更新服务器信息
-app.put('/api/server/:id', async (req, res) => {
+app.put('/api/server/:id', requireRole('editor'), async (req, res) => {
     try {
-        const servers = await getServerList();
-        const index = servers.findIndex(s => s.id == req.params.id);
-        
-        if (index === -1) {
+        const { value, errors } = validateServerEntry(req.body, { partial: true });
+        if (errors) {
+            return sendValidationError(res, errors);
+        }
+
+        let updatedServer = null;
+        await updateServerList(servers => {
+            const server = servers.find(s => s.id == req.params.id);
+            if (!server) return false;
+
+            updatedServer = applyServerChanges(server, value);
+        });
+
+        if (!updatedServer) {
             return res.status(404).json({ error: '服务器未找到' });
         }
         
-        const updatedServer = { ...servers[index], ...req.body };
-        servers[index] = updatedServer;
-        
-        await saveServerList(servers);
-        
-        // 清除缓存
-        serverCache.lastUpdated = 0;
+        // 清除缓存并同步轮询任务
+        notifyServerListChanged();
         
-        res.json({ success: true, server: updatedServer });
+        res.json({ success: true, server: sanitizeServer(updatedServer) });
     } catch (error) {
         console.error('更新服务器失败:', error);
         res.status(500).json({ error: '更新服务器失败: ' + error.message });
     }
 });
 
+// 通过RCON执行命令
+app.post('/api/server/:id/rcon', requireRole('admin'), async (req, res) => {
+    try {
+        const { command } = req.body;
+
+        if (!command || typeof command !== 'string' || !command.trim()) {
+            return res.status(400).json({ error: '命令不能为空' });
+        }
+
+        const servers = await getServerList();
+        const server = servers.find(s => s.id == req.params.id);
+
+        if (!server) {
+            return res.status(404).json({ error: '服务器未找到' });
+        }
+
+        if (!server.rcon) {
+            return res.status(400).json({ error: '该服务器未配置RCON' });
+        }
+
+        console.log(`🖥️ RCON [${server.name}]: ${command}`);
+
+        try {
+            const output = await executeRconCommand(server.address, server.rcon.port, server.rcon.password, command.trim());
+            res.json({ success: true, command: command.trim(), output });
+        } catch (error) {
+            res.status(502).json({ error: error.message });
+        }
+    } catch (error) {
+        console.error('执行RCON命令失败:', error);
+        res.status(500).json({ error: '执行RCON命令失败: ' + error.message });
+    }
+});
+
+// 订阅服务器状态变化推送
+app.get('/api/stream', requireRole('viewer'), async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // 禁用Nginx缓冲
+    });
+    res.flushHeaders();
+
+    res.write(`retry: ${STREAM_RETRY}\n\n`);
+
+    streamClients.add(res);
+    req.on('close', () => {
+        streamClients.delete(res);
+    });
+
+    // 先发送完整列表，尚无缓存的服务器标记为查询中并立即刷新
+    const servers = await getServerList();
+    if (res.writableEnded) return;
+
+    const statuses = servers.map(server => getCachedStatus(server) || buildPendingStatus(server));
+    res.write(`event: snapshot\ndata: ${JSON.stringify(summarizeServerStatuses(statuses))}\n\n`);
+
+    servers.forEach((server, index) => {
+        if (!statuses[index].pending) return;
+
+        // 清除签名，确保结果与上次推送相同时也会推送，替换客户端的占位状态
+        statusSignatures.delete(server.id);
+        refreshServerStatus(server).catch(error => {
+            console.error(`刷新服务器 ${server.name} 失败:`, error);
+        });
+    });
+});
+
+// 获取告警规则、Webhook及当前告警
+app.get('/api/alerts', requireRole('editor'), (req, res) => {
+    res.json({
+        rules: alertConfig.rules,
+        webhooks: alertConfig.webhooks,
+        active: getActiveAlerts()
+    });
+});
+
+// 添加告警规则
+app.post('/api/alerts/rules', requireRole('editor'), async (req, res) => {
+    try {
+        const rule = buildAlertRule(req.body);
+        const error = validateAlertRule(rule, await getServerList());
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        alertConfig.rules.push(rule);
+        await saveAlertConfig();
+
+        res.json({ success: true, rule });
+    } catch (error) {
+        console.error('添加告警规则失败:', error);
+        res.status(500).json({ error: '添加告警规则失败: ' + error.message });
+    }
+});
+
+// 更新告警规则
+app.put('/api/alerts/rules/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const index = alertConfig.rules.findIndex(r => r.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ error: '告警规则未找到' });
+        }
+
+        const rule = buildAlertRule(req.body, alertConfig.rules[index]);
+        const error = validateAlertRule(rule, await getServerList());
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        alertConfig.rules[index] = rule;
+        await saveAlertConfig();
+
+        // 规则条件变化后重新开始评估
+        clearAlertStates(ruleId => ruleId === rule.id);
+
+        res.json({ success: true, rule });
+    } catch (error) {
+        console.error('更新告警规则失败:', error);
+        res.status(500).json({ error: '更新告警规则失败: ' + error.message });
+    }
+});
+
+// 删除告警规则
+app.delete('/api/alerts/rules/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const index = alertConfig.rules.findIndex(r => r.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ error: '告警规则未找到' });
+        }
+
+        const [rule] = alertConfig.rules.splice(index, 1);
+        await saveAlertConfig();
+        clearAlertStates(ruleId => ruleId === rule.id);
+
+        res.json({ success: true, rule });
+    } catch (error) {
+        console.error('删除告警规则失败:', error);
+        res.status(500).json({ error: '删除告警规则失败: ' + error.message });
+    }
+});
+
+// 添加Webhook
+app.post('/api/alerts/webhooks', requireRole('editor'), async (req, res) => {
+    try {
+        const { name, url, format = 'generic' } = req.body;
+
+        if (!url || !/^https?:\/\//.test(url)) {
+            return res.status(400).json({ error: 'Webhook地址必须为http(s) URL' });
+        }
+
+        if (!WEBHOOK_FORMATS.includes(format)) {
+            return res.status(400).json({ error: '不支持的Webhook格式: ' + format });
+        }
+
+        const webhook = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name: name || url,
+            url,
+            format
+        };
+
+        alertConfig.webhooks.push(webhook);
+        await saveAlertConfig();
+
+        res.json({ success: true, webhook });
+    } catch (error) {
+        console.error('添加Webhook失败:', error);
+        res.status(500).json({ error: '添加Webhook失败: ' + error.message });
+    }
+});
+
+// 删除Webhook，同时从规则中移除引用
+app.delete('/api/alerts/webhooks/:id', requireRole('editor'), async (req, res) => {
+    try {
+        const index = alertConfig.webhooks.findIndex(w => w.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Webhook未找到' });
+        }
+
+        const [webhook] = alertConfig.webhooks.splice(index, 1);
+        alertConfig.rules.forEach(rule => {
+            rule.webhooks = rule.webhooks.filter(id => id !== webhook.id);
+        });
+        await saveAlertConfig();
+
+        res.json({ success: true, webhook });
+    } catch (error) {
+        console.error('删除Webhook失败:', error);
+        res.status(500).json({ error: '删除Webhook失败: ' + error.message });
+    }
+});
+
+// 发送测试通知
+app.post('/api/alerts/webhooks/:id/test', requireRole('editor'), async (req, res) => {
+    const webhook = alertConfig.webhooks.find(w => w.id === req.params.id);
+    if (!webhook) {
+        return res.status(404).json({ error: 'Webhook未找到' });
+    }
+
+    try {
+        await sendWebhook(webhook, {
+            event: 'firing',
+            rule: { id: 'test', name: '测试通知', type: 'offline', threshold: null },
+            server: { id: null, name: '测试服务器', address: 'example.com', port: 25565, category: '测试' },
+            value: null,
+            message: '🔔 这是一条来自Minecraft服务器监控面板的测试通知',
+            startedAt: new Date().toISOString(),
+            timestamp: new Date().toISOString()
+        });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(502).json({ error: 'Webhook发送失败: ' + error.message });
+    }
+});
+
+// 按名称或UUID搜索玩家
+app.get('/api/players', requireRole('viewer'), async (req, res) => {
+    try {
+        await playerStoreReady;
+        const search = String(req.query.search || '').trim().toLowerCase();
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const serverNames = await getServerNames();
+
+        const keys = Array.from(playerStore.players.entries())
+            .filter(([key, player]) => !search ||
+                key.includes(search) ||
+                (player.uuid && player.uuid.toLowerCase().replace(/-/g, '').includes(search.replace(/-/g, ''))))
+            .sort((a, b) => b[1].lastSeen - a[1].lastSeen)
+            .map(([key]) => key);
+
+        res.json({
+            total: keys.length,
+            players: keys.slice(0, limit).map(key => formatPlayer(key, serverNames))
+        });
+    } catch (error) {
+        res.status(500).json({ error: '搜索玩家失败: ' + error.message });
+    }
+});
+
+// 获取玩家信息及会话记录
+app.get('/api/player/:player', requireRole('viewer'), async (req, res) => {
+    try {
+        await playerStoreReady;
+        const key = findPlayerKey(req.params.player);
+        if (!key) {
+            return res.status(404).json({ error: '玩家未找到' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const serverNames = await getServerNames();
+        const sessions = playerStore.sessions
+            .filter(session => session.player === key)
+            .sort((a, b) => b.start - a.start)
+            .slice(0, limit)
+            .map(session => formatSession(session, serverNames));
+
+        res.json({ ...formatPlayer(key, serverNames), sessions });
+    } catch (error) {
+        res.status(500).json({ error: '获取玩家信息失败: ' + error.message });
+    }
+});
+
+// 获取服务器最近出现的玩家
+app.get('/api/server/:id/players', requireRole('viewer'), async (req, res) => {
+    try {
+        await playerStoreReady;
+        const servers = await getServerList();
+        const server = servers.find(s => s.id == req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: '服务器未找到' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+        const serverNames = new Map(servers.map(s => [String(s.id), s.name]));
+
+        // 每名玩家只保留在该服务器的最近一次会话
+        const latest = new Map();
+        for (const session of playerStore.sessions) {
+            if (session.serverId != server.id) continue;
+            const previous = latest.get(session.player);
+            if (!previous || session.lastSeen >= previous.lastSeen) latest.set(session.player, session);
+        }
+
+        const players = Array.from(latest.values())
+            .sort((a, b) => b.lastSeen - a.lastSeen)
+            .slice(0, limit)
+            .map(session => ({
+                name: playerStore.players.get(session.player)?.name || session.player,
+                uuid: playerStore.players.get(session.player)?.uuid || null,
+                ...formatSession(session, serverNames)
+            }));
+
+        res.json({ serverId: server.id, players });
+    } catch (error) {
+        res.status(500).json({ error: '获取最近玩家失败: ' + error.message });
+    }
+});
+
+// Prometheus指标
+app.get('/metrics', requireRole('viewer'), async (req, res) => {
+    try {
+        const servers = await getServerList();
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(renderMetrics(servers));
+    } catch (error) {
+        res.status(500).json({ error: '生成指标失败: ' + error.message });
+    }
+});
+
+// 获取后台轮询队列状态
+app.get('/api/poller', requireRole('viewer'), (req, res) => {
+    res.json(getPollerStatus());
+});
+
 // 手动刷新所有服务器
-app.post('/api/refresh', async (req, res) => {
+app.post('/api/refresh', requireRole('editor'), async (req, res) => {
     try {
-        serverCache.lastUpdated = 0; // 清除缓存
-        const serverData = await queryAllServers(false);
+        // 客户端断开时取消尚未完成的查询
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        const serverData = await queryAllServers(false, { signal: controller.signal });
         res.json(serverData);
     } catch (error) {
+        if (error.name === 'AbortError') return;
         console.error('刷新服务器失败:', error);
         res.status(500).json({ error: '刷新服务器失败: ' + error.message });
     }
 });
 
-// 启动服务器
-app.listen(PORT, () => {
-    console.log(`🎮 Minecraft服务器监控面板运行在 http://localhost:${PORT}`);
-    console.log(`📁 服务器列表配置文件: servers.json`);
-    console.log(`🔄 自动刷新间隔: 30秒`);
-    console.log(`✅ 准备就绪，开始监控服务器...`);
-});
+// 直接运行时启动服务器，作为模块加载时 (如单元测试) 只导出内部函数
+if (require.main === module) {
+    // 服务器列表与账号配置加载完成后启动服务器
+    Promise.all([serverStoreReady, authReady]).then(() => {
+        app.listen(PORT, () => {
+            console.log(`🎮 Minecraft服务器监控面板运行在 http://localhost:${PORT}`);
+            console.log(`📁 服务器列表存储: ${serverStore.backend.name} (${serverStore.backend.location})`);
+            console.log(`🔄 自动刷新间隔: 30秒`);
+            console.log(`🚦 查询并发上限: ${QUERY_CONCURRENCY} (同一主机 ${QUERY_HOST_CONCURRENCY})，失败重试: ${QUERY_RETRIES}次`);
+            console.log(POLLER_ENABLED
+                ? `⏱️ 后台轮询已启用，默认间隔: ${DEFAULT_POLL_INTERVAL / 1000}秒`
+                : `⏸️ 后台轮询已禁用`);
+            console.log(PUBLIC_READ
+                ? `🔓 未登录用户可查看服务器状态，修改操作需要登录`
+                : `🔒 所有接口均需要登录`);
+            console.log(`✅ 准备就绪，开始监控服务器...`);
 
-// 添加错误处理
-process.on('uncaughtException', (err) => {
-    console.error('未捕获的异常:', err);
-});
+            startPoller();
+        });
+    });
+
+    // 添加错误处理
+    process.on('uncaughtException', (err) => {
+        console.error('未捕获的异常:', err);
+    });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('未处理的Promise拒绝:', reason);
-});
\ No newline at end of file
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('未处理的Promise拒绝:', reason);
+    });
+}
+
+module.exports = {
+    serverStoreReady,
+    authReady,
+    playerStoreReady,
+    PacketReader,
+    PacketError,
+    createPacket,
+    parseStatusPacket,
+    createLegacyPingPacket,
+    parseLegacyResponse,
+    queryMinecraftServer,
+    parseModInfo,
+    decodeForgeData,
+    parseFullStat,
+    parseQueryPlugins,
+    queryGameSpyServer,
+    getHistoryFile,
+    recordHistory,
+    readHistory,
+    pruneHistory,
+    parseResolution,
+    downsampleHistory,
+    getIncidentReason,
+    calculateUptime,
+    loadAlertConfig,
+    validateAlertRule,
+    buildAlertRule,
+    evaluateAlertRules,
+    buildWebhookPayload,
+    getActiveAlerts,
+    extractPlayers,
+    trackPlayers,
+    findPlayerKey,
+    formatPlayer,
+    deletePlayerSessions,
+    parseCsv,
+    parseImportData,
+    planServerImport,
+    applyServerImport,
+    statusEvents,
+    classifyQueryError,
+    recordPollMetrics,
+    deleteServerMetrics,
+    renderMetrics,
+    parseUnconnectedPong,
+    createUnconnectedPingPacket,
+    queryBedrockServer,
+    queryServer,
+    getQueryEngineStatus,
+    getCachedStatus,
+    refreshServerStatus,
+    getServerStatus
+};
@@ -0,0 +1,247 @@
+/**
+ * Minecraft 服务器监控面板 - 服务器列表存储
+ * 所有修改按顺序串行执行，写入文件时先写临时文件再重命名，避免并发修改丢失或写入中途崩溃损坏文件
+ *
+ * 存储的数据格式为 { version, nextId, servers }，服务器ID为递增的正整数且删除后不会被重新分配
+ *
+ * 存储后端只需实现以下接口，即可替换为嵌入式数据库等其他存储方式:
+ *   name                 后端名称，用于日志
+ *   location             存储位置描述，用于日志
+ *   load()               返回保存的数据 (旧版为服务器数组)，尚无数据时返回null
+ *   save(data)           持久化完整的数据，失败时抛出异常
+ * 自定义后端可以通过 registerBackend 注册，或将 STORAGE_BACKEND 设为导出工厂函数的模块路径
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+// 服务器列表数据格式版本
+const STORE_VERSION = 2;
+
+// 原子写入文件: 写入同目录下的临时文件并刷盘后重命名覆盖
+async function writeFileAtomic(file, content) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    const tempFile = `${file}.${process.pid}.tmp`;
+    const handle = await fs.open(tempFile, 'w');
+    try {
+        await handle.writeFile(content);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+// JSON文件后端
+function createJsonFileBackend(options = {}) {
+    const file = options.file || 'servers.json';
+
+    return {
+        name: 'json',
+        location: file,
+
+        async load() {
+            let data;
+            try {
+                data = await fs.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+
+            // 解析失败时直接报错，不能当作空列表处理，否则下次保存会覆盖原有配置
+            return JSON.parse(data);
+        },
+
+        async save(data) {
+            await writeFileAtomic(file, JSON.stringify(data, null, 2) + '\n');
+        }
+    };
+}
+
+// 内存后端，不持久化，适用于临时运行
+function createMemoryBackend() {
+    let stored = null;
+
+    return {
+        name: 'memory',
+        location: '内存',
+
+        async load() {
+            return stored && structuredClone(stored);
+        },
+
+        async save(data) {
+            stored = structuredClone(data);
+        }
+    };
+}
+
+const backendFactories = {
+    json: createJsonFileBackend,
+    memory: createMemoryBackend
+};
+
+// 注册自定义存储后端
+function registerBackend(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new TypeError('存储后端必须是工厂函数');
+    }
+    backendFactories[name] = factory;
+}
+
+// 按名称或模块路径创建存储后端
+function createBackend(name = 'json', options = {}) {
+    let factory = backendFactories[name];
+
+    if (!factory && /^[./]/.test(name)) {
+        factory = require(path.resolve(name));
+    }
+    if (typeof factory !== 'function') {
+        throw new Error('未知的存储后端: ' + name);
+    }
+
+    const backend = factory(options);
+    for (const method of ['load', 'save']) {
+        if (typeof backend?.[method] !== 'function') {
+            throw new Error(`存储后端 ${name} 缺少 ${method}() 方法`);
+        }
+    }
+    return backend;
+}
+
+// 读取首次运行时使用的示例服务器列表
+async function readSeedFile(seedFile) {
+    if (!seedFile) return [];
+
+    try {
+        return JSON.parse(await fs.readFile(seedFile, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`读取示例服务器列表 ${seedFile} 失败:`, error.message);
+        }
+        return [];
+    }
+}
+
+// 服务器ID必须是正整数
+function isValidServerId(id) {
+    return Number.isSafeInteger(id) && id > 0;
+}
+
+// 将旧版数据 (服务器数组) 迁移为当前格式，并修复无效或重复的ID
+// 有效且不重复的ID保持不变，以免丢失历史记录等按ID关联的数据
+function migrateData(raw) {
+    const legacy = Array.isArray(raw);
+    if (!legacy && !Array.isArray(raw?.servers)) {
+        throw new Error('服务器列表数据格式无效');
+    }
+
+    const list = legacy ? raw : raw.servers;
+    const servers = list
+        .filter(server => server && typeof server === 'object' && !Array.isArray(server))
+        .map(server => ({ ...server }));
+
+    const usedIds = new Set();
+    const invalid = [];
+    for (const server of servers) {
+        if (typeof server.id === 'string' && /^\d+$/.test(server.id)) {
+            server.id = Number(server.id);
+        }
+
+        if (isValidServerId(server.id) && !usedIds.has(server.id)) {
+            usedIds.add(server.id);
+        } else {
+            invalid.push(server);
+        }
+    }
+
+    // 已保存的nextId可能大于现有最大ID (最大ID的服务器已被删除)，不能回退
+    let nextId = Math.max(legacy || !isValidServerId(raw.nextId) ? 1 : raw.nextId, ...[...usedIds].map(id => id + 1));
+    const reassigned = invalid.map(server => {
+        const from = server.id;
+        server.id = nextId++;
+        return { from, to: server.id, name: server.name };
+    });
+
+    return {
+        data: { version: STORE_VERSION, nextId, servers },
+        changed: legacy || raw.version !== STORE_VERSION || raw.nextId !== nextId ||
+            servers.length !== list.length || reassigned.length > 0,
+        reassigned
+    };
+}
+
+// 创建服务器列表存储，读取直接返回内存中的副本，修改串行执行并在保存成功后生效
+function createServerStore(options = {}) {
+    const backend = options.backend || createBackend(options.type, options);
+    let state = { version: STORE_VERSION, nextId: 1, servers: [] };
+    let queue = Promise.resolve();
+
+    // 将操作加入串行队列，单个操作失败不影响后续操作
+    function enqueue(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return {
+        backend,
+
+        // 加载服务器列表，尚无数据时使用示例列表初始化，旧版数据自动迁移
+        init() {
+            return enqueue(async () => {
+                const loaded = await backend.load();
+                const seeded = loaded === null;
+                const { data, changed, reassigned } = migrateData(seeded ? await readSeedFile(options.seedFile) : loaded);
+
+                if (seeded || changed) {
+                    await backend.save(data);
+                }
+                state = data;
+
+                return { seeded, migrated: !seeded && changed, reassigned, count: data.servers.length };
+            });
+        },
+
+        // 获取服务器列表副本，调用方可以随意修改
+        getAll() {
+            return structuredClone(state.servers);
+        },
+
+        // 修改服务器列表: mutator接收列表副本并直接修改，返回false时放弃修改
+        // 新服务器的ID必须通过 context.allocateId() 分配
+        // 保存成功后返回true，保存失败时抛出异常且内存中的列表保持不变
+        update(mutator) {
+            return enqueue(async () => {
+                const draft = structuredClone(state);
+                const context = { allocateId: () => draft.nextId++ };
+                if (await mutator(draft.servers, context) === false) return false;
+
+                for (const server of draft.servers) {
+                    if (!isValidServerId(server.id)) {
+                        throw new Error('无效的服务器ID: ' + server.id);
+                    }
+                    draft.nextId = Math.max(draft.nextId, server.id + 1);
+                }
+
+                await backend.save(draft);
+                state = draft;
+                return true;
+            });
+        }
+    };
+}
+
+module.exports = {
+    createServerStore,
+    createBackend,
+    registerBackend,
+    writeFileAtomic
+};
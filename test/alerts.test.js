@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+const {
+    dataDir,
+    loadAlertConfig,
+    validateAlertRule,
+    buildAlertRule,
+    evaluateAlertRules,
+    buildWebhookPayload,
+    getActiveAlerts
+} = loadServer();
+
+const SERVERS = [{ id: 1, name: 'Survival', address: 'mc.example.com', port: 25565, category: '生存' }];
+
+// 在本机启动接收Webhook的服务器，按顺序记录收到的请求体
+async function startWebhookServer() {
+    const received = [];
+    const waiters = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end();
+            waiters.splice(0).forEach(resolve => resolve());
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // 等待收到指定数量的请求
+    const waitForCount = async (count) => {
+        while (received.length < count) {
+            await new Promise(resolve => waiters.push(resolve));
+        }
+    };
+    return { server, received, waitForCount };
+}
+
+// 写入告警配置文件并重新加载
+async function writeAlertConfig(config) {
+    fs.writeFileSync(path.join(dataDir, 'alerts.json'), JSON.stringify(config));
+    await loadAlertConfig();
+}
+
+test('校验告警规则', async () => {
+    await writeAlertConfig({ rules: [], webhooks: [{ id: 'hook', url: 'http://127.0.0.1:1/' }] });
+    const rule = (overrides) => buildAlertRule({ name: '离线', type: 'offline', ...overrides });
+
+    assert.strictEqual(validateAlertRule(rule({ webhooks: ['hook'] }), SERVERS), null);
+    assert.strictEqual(validateAlertRule(rule({ name: '' }), SERVERS), '规则名称不能为空');
+    assert.strictEqual(validateAlertRule(rule({ type: 'unknown' }), SERVERS), '不支持的告警类型: unknown');
+    assert.strictEqual(validateAlertRule(rule({ type: 'latency_above' }), SERVERS), '该告警类型需要数值阈值 threshold');
+    assert.strictEqual(validateAlertRule(rule({ type: 'latency_above', threshold: 'abc' }), SERVERS), '该告警类型需要数值阈值 threshold');
+    assert.strictEqual(validateAlertRule(rule({ consecutive: 0 }), SERVERS), 'consecutive 必须为正整数');
+    assert.strictEqual(validateAlertRule(rule({ serverId: 2 }), SERVERS), '服务器不存在: 2');
+    assert.strictEqual(validateAlertRule(rule({ webhooks: ['missing'] }), SERVERS), 'Webhook不存在: missing');
+});
+
+test('从请求体构建规则时填充默认值并保留原有ID', () => {
+    const rule = buildAlertRule({ name: '延迟', type: 'latency_above', threshold: '200' });
+    assert.deepStrictEqual({ ...rule, id: undefined }, {
+        id: undefined,
+        name: '延迟',
+        enabled: true,
+        type: 'latency_above',
+        threshold: 200,
+        consecutive: 1,
+        serverId: null,
+        category: null,
+        webhooks: []
+    });
+
+    const updated = buildAlertRule({ enabled: false }, rule);
+    assert.strictEqual(updated.id, rule.id);
+    assert.strictEqual(updated.enabled, false);
+    assert.strictEqual(updated.threshold, 200);
+});
+
+test('连续失败达到次数后触发告警，恢复时发送恢复通知', async (t) => {
+    const { server, received, waitForCount } = await startWebhookServer();
+    t.after(() => server.close());
+
+    await writeAlertConfig({
+        rules: [buildAlertRule({ name: '离线', type: 'offline', consecutive: 2, serverId: 1, webhooks: ['hook'] })],
+        webhooks: [{ id: 'hook', url: `http://127.0.0.1:${server.address().port}/`, format: 'generic' }]
+    });
+
+    const offline = { online: false, error: '连接超时: 5000ms' };
+    evaluateAlertRules(SERVERS[0], offline);
+    assert.deepStrictEqual(getActiveAlerts(), []);
+
+    evaluateAlertRules(SERVERS[0], offline);
+    evaluateAlertRules(SERVERS[0], offline);
+    assert.strictEqual(getActiveAlerts().length, 1);
+    await waitForCount(1);
+    assert.strictEqual(received[0].event, 'firing');
+    assert.strictEqual(received[0].value, '连接超时: 5000ms');
+    assert.strictEqual(received[0].server.category, '生存');
+
+    evaluateAlertRules(SERVERS[0], { online: true, players: { online: 1, max: 20 } });
+    assert.deepStrictEqual(getActiveAlerts(), []);
+    await waitForCount(2);
+    assert.strictEqual(received[1].event, 'resolved');
+    assert.strictEqual(received.length, 2);
+});
+
+test('版本变更只在版本不同时触发且不发送恢复通知', async () => {
+    await writeAlertConfig({
+        rules: [buildAlertRule({ name: '版本', type: 'version_changed', category: '生存' })],
+        webhooks: []
+    });
+
+    const online = (version) => ({ online: true, version, players: { online: 0, max: 20 } });
+    evaluateAlertRules(SERVERS[0], online('1.20.3'));
+    evaluateAlertRules(SERVERS[0], online('1.20.3'));
+    assert.deepStrictEqual(getActiveAlerts(), []);
+
+    evaluateAlertRules(SERVERS[0], online('1.20.4'));
+    const [alert] = getActiveAlerts();
+    assert.deepStrictEqual(alert.value, { from: '1.20.3', to: '1.20.4' });
+
+    evaluateAlertRules(SERVERS[0], online('1.20.4'));
+    assert.deepStrictEqual(getActiveAlerts(), []);
+
+    // 其他分类的服务器不受影响
+    evaluateAlertRules({ ...SERVERS[0], id: 2, category: '创造' }, online('1.21'));
+    assert.deepStrictEqual(getActiveAlerts(), []);
+});
+
+test('Discord格式的Webhook请求体', () => {
+    const alert = {
+        event: 'firing',
+        rule: { id: 'r', name: '离线', type: 'offline', threshold: null },
+        server: { id: 1, name: 'Survival', address: 'mc.example.com', port: 25565, category: '生存' },
+        message: '服务器已离线',
+        timestamp: '2024-01-01T00:00:00.000Z'
+    };
+
+    assert.strictEqual(buildWebhookPayload({ format: 'generic' }, alert), alert);
+
+    const [embed] = buildWebhookPayload({ format: 'discord' }, alert).embeds;
+    assert.strictEqual(embed.title, '告警触发: 离线');
+    assert.strictEqual(embed.description, '服务器已离线');
+    assert.deepStrictEqual(embed.fields.map(field => field.value), ['Survival (mc.example.com:25565)', '生存', '服务器离线']);
+});
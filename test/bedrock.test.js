@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { loadServer } = require('./helpers');
+
+const { parseUnconnectedPong, createUnconnectedPingPacket, queryBedrockServer } = loadServer();
+
+const RAKNET_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+// 构造Unconnected Pong包
+function createPong(info, magic = RAKNET_MAGIC) {
+    const text = Buffer.from(info);
+    const header = Buffer.alloc(35);
+    header.writeUInt8(0x1C, 0);
+    magic.copy(header, 17);
+    header.writeUInt16BE(text.length, 33);
+    return Buffer.concat([header, text]);
+}
+
+// 在本机启动模拟的Bedrock服务器，收到Ping时依次回复replies中的数据包
+async function startFakeServer(replies) {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', (message, remote) => {
+        if (message.readUInt8(0) !== 0x01) return;
+        for (const reply of replies) {
+            socket.send(reply, remote.port, remote.address);
+        }
+    });
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    return socket;
+}
+
+test('Unconnected Ping包包含包ID与魔数', () => {
+    const packet = createUnconnectedPingPacket();
+    assert.strictEqual(packet.length, 33);
+    assert.strictEqual(packet.readUInt8(0), 0x01);
+    assert.ok(packet.subarray(9, 25).equals(RAKNET_MAGIC));
+});
+
+test('解析Unconnected Pong中的服务器信息', () => {
+    const pong = createPong('MCPE;Dedicated Server;622;1.20.40;3;10;123456;Bedrock level;Survival;1;19132;19133;');
+    assert.deepStrictEqual(parseUnconnectedPong(pong), {
+        edition: 'MCPE',
+        motd: 'Dedicated Server',
+        protocol: 622,
+        version: '1.20.40',
+        players: { online: 3, max: 10 },
+        serverId: '123456',
+        levelName: 'Bedrock level',
+        gamemode: 'Survival'
+    });
+});
+
+test('拒绝无效的Pong包', () => {
+    assert.throws(() => parseUnconnectedPong(Buffer.from([0x1C, 0x00])), /无效的数据包ID/);
+    assert.throws(() => parseUnconnectedPong(createPong('MCPE;a;1;1;1;1', Buffer.alloc(16))), /无效的RakNet魔数/);
+    assert.throws(() => parseUnconnectedPong(createPong('MCPE;a;1')), /服务器信息不完整/);
+});
+
+test('查询时忽略Pong以外的数据包', async (t) => {
+    const server = await startFakeServer([
+        Buffer.from([0x05, 0x01, 0x02]),
+        createPong('MCPE;Test;622;1.20.40;1;20;1;world;Creative;1;19132;19133;')
+    ]);
+    t.after(() => server.close());
+
+    const status = await queryBedrockServer('127.0.0.1', server.address().port, 'test');
+    assert.strictEqual(status.online, true);
+    assert.strictEqual(status.error, null);
+    assert.deepStrictEqual(status.players, { online: 1, max: 20, sample: [] });
+    assert.strictEqual(status.levelName, 'world');
+    assert.ok(status.ping >= 0);
+});
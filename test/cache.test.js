@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadServer, startJavaServer } = require('./helpers');
+
+const { getCachedStatus, refreshServerStatus, getServerStatus } = loadServer({ QUERY_RETRIES: '0' });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('同一服务器并发的刷新共享一次查询', async () => {
+    const { port, stats } = await startJavaServer({ delay: 50 });
+    const server = { id: 1, name: 'Coalesced', address: '127.0.0.1', port };
+
+    const results = await Promise.all([1, 2, 3].map(() => refreshServerStatus(server)));
+    assert.strictEqual(stats.connections, 1);
+    assert.ok(results.every(result => result === results[0]));
+    assert.strictEqual(results[0].online, true);
+
+    // 查询完成后再次刷新会重新查询
+    await refreshServerStatus(server);
+    assert.strictEqual(stats.connections, 2);
+});
+
+test('所有等待方都取消后才取消查询', async () => {
+    const { port, stats } = await startJavaServer({ delay: 100 });
+    const server = { id: 2, name: 'Cancelled', address: '127.0.0.1', port };
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const firstRefresh = refreshServerStatus(server, { signal: first.signal });
+    const secondRefresh = refreshServerStatus(server, { signal: second.signal });
+    first.abort();
+    await assert.rejects(firstRefresh, { name: 'AbortError' });
+    assert.strictEqual((await secondRefresh).online, true);
+    assert.strictEqual(stats.connections, 1);
+
+    const third = new AbortController();
+    const cancelled = refreshServerStatus(server, { signal: third.signal });
+    third.abort();
+    await assert.rejects(cancelled, { name: 'AbortError' });
+
+    // 已取消的刷新不会被复用
+    assert.strictEqual((await refreshServerStatus(server)).online, true);
+});
+
+test('有缓存时直接返回，配置变化或过期后不再视为有效', async () => {
+    const { port, stats } = await startJavaServer();
+    const server = { id: 3, name: 'Cached', address: '127.0.0.1', port, category: '生存' };
+
+    assert.strictEqual(getCachedStatus(server), null);
+    const fresh = await getServerStatus(server);
+    assert.strictEqual(fresh.stale, false);
+    assert.strictEqual(stats.connections, 1);
+
+    const cached = await getServerStatus({ ...server, name: 'Renamed' });
+    assert.strictEqual(stats.connections, 1);
+    assert.strictEqual(cached.name, 'Renamed');
+    assert.strictEqual(cached.lastUpdated, fresh.lastUpdated);
+    assert.strictEqual(cached.stale, false);
+
+    assert.strictEqual(getCachedStatus(server, Date.now() + DAY).stale, true);
+    assert.strictEqual(getCachedStatus({ ...server, port: port + 1 }), null);
+});
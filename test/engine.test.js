@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadServer, startJavaServer } = require('./helpers');
+
+const { queryServer, getQueryEngineStatus } = loadServer({
+    QUERY_CONCURRENCY: '3',
+    QUERY_HOST_CONCURRENCY: '2',
+    QUERY_HOST_INTERVAL: '0',
+    QUERY_RETRIES: '1'
+});
+
+// 按地址生成测试用的服务器配置
+function createServers(count, port, address = () => '127.0.0.1') {
+    return Array.from({ length: count }, (_, i) => ({ id: i + 1, name: `Server ${i + 1}`, address: address(i), port }));
+}
+
+test('同一主机的并发查询数受限', async () => {
+    const { port, stats } = await startJavaServer({ delay: 50 });
+
+    const results = await Promise.all(createServers(5, port).map(server => queryServer(server)));
+    assert.ok(results.every(result => result.online));
+    assert.strictEqual(stats.connections, 5);
+    assert.strictEqual(stats.maxActive, 2);
+});
+
+test('所有主机的并发查询总数受限', async () => {
+    const { port, stats } = await startJavaServer({ delay: 50 });
+
+    // 127.0.0.0/8 均指向本机，但按不同主机限流
+    const servers = createServers(6, port, i => `127.0.0.${i % 3 + 1}`);
+    const results = await Promise.all(servers.map(server => queryServer(server)));
+    assert.ok(results.every(result => result.online));
+    assert.strictEqual(stats.maxActive, 3);
+    const { running, queued } = getQueryEngineStatus();
+    assert.deepStrictEqual({ running, queued }, { running: 0, queued: 0 });
+});
+
+test('取消排队中的查询时立即拒绝且不发起连接', async () => {
+    const { port, stats } = await startJavaServer({ delay: 100 });
+    const [first, second, queued] = createServers(3, port);
+    const controller = new AbortController();
+
+    const running = [queryServer(first), queryServer(second)];
+    const cancelled = queryServer(queued, { signal: controller.signal });
+    assert.strictEqual(getQueryEngineStatus().queued, 1);
+
+    controller.abort();
+    await assert.rejects(cancelled, { name: 'AbortError' });
+    assert.strictEqual(getQueryEngineStatus().queued, 0);
+
+    await Promise.all(running);
+    assert.strictEqual(stats.connections, 2);
+
+    await assert.rejects(queryServer(queued, { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('连接中断时重试一次', async () => {
+    const { port, stats } = await startJavaServer({ failures: 1 });
+
+    const result = await queryServer(createServers(1, port)[0]);
+    assert.strictEqual(result.online, true);
+    // 失败的一次尝试包括现代协议查询与两次旧版Ping
+    assert.strictEqual(stats.connections, 4);
+
+    const { port: failingPort } = await startJavaServer({ failures: 2 });
+    const failed = await queryServer(createServers(1, failingPort)[0]);
+    assert.strictEqual(failed.online, false);
+});
@@ -0,0 +1,112 @@
+const { after } = require('node:test');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// 加载服务器模块，所有数据文件写入临时目录并在测试结束后删除
+// 服务器模块在加载时读取配置，env中的设置需要在首次加载前传入
+function loadServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-monitor-test-'));
+    Object.assign(process.env, {
+        STORAGE_BACKEND: 'memory',
+        HISTORY_DIR: path.join(dataDir, 'history'),
+        ALERTS_FILE: path.join(dataDir, 'alerts.json'),
+        AUTH_FILE: path.join(dataDir, 'auth.json'),
+        PLAYERS_FILE: path.join(dataDir, 'players.json'),
+        ADMIN_PASSWORD: 'test-password',
+        POLLER_ENABLED: 'false',
+        ...env
+    });
+
+    // 启动日志写入stdout会干扰测试运行器解析测试结果
+    console.log = () => {};
+
+    const server = require('../server');
+
+    // 等待启动时的加载与初始化完成，避免删除目录后又写入文件
+    after(async () => {
+        await Promise.allSettled([server.serverStoreReady, server.authReady, server.playerStoreReady]);
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    return { ...server, dataDir };
+}
+
+// 在本机启动模拟的Java版服务器，只支持现代协议，收到旧版Ping时断开连接
+// options.delay: 收到状态请求后延迟响应的毫秒数
+// options.failures: 前N次现代协议查询直接断开连接
+// 返回的stats记录连接总数、当前及最大同时连接数
+async function startJavaServer(options = {}) {
+    const { PacketReader, createPacket } = require('../server');
+    const stats = { connections: 0, active: 0, maxActive: 0 };
+    let failures = options.failures || 0;
+
+    const status = Buffer.from(JSON.stringify({
+        version: { name: '1.20.4', protocol: 765 },
+        players: { online: 1, max: 20 },
+        description: { text: 'Test' }
+    }));
+    const statusLength = Buffer.alloc(5);
+    const statusPacket = createPacket(0x00, Buffer.concat([
+        statusLength.subarray(0, encodeVarInt(statusLength, status.length)),
+        status
+    ]));
+
+    const server = net.createServer(socket => {
+        const reader = new PacketReader();
+        let started = false;
+        stats.connections++;
+        stats.maxActive = Math.max(stats.maxActive, ++stats.active);
+
+        // 在服务端结束连接时就减少计数，客户端收到响应后可能在close事件之前发起下一次查询
+        let closed = false;
+        const release = () => {
+            if (closed) return;
+            closed = true;
+            stats.active--;
+        };
+        socket.on('close', release);
+        socket.on('error', () => {});
+
+        socket.on('data', data => {
+            if (!started) {
+                started = true;
+                const legacy = data[0] === 0xFE; // 旧版Ping的第一个字节为0xFE
+                if (legacy || failures > 0) {
+                    if (!legacy) failures--;
+                    release();
+                    socket.destroy();
+                    return;
+                }
+            }
+
+            reader.push(data);
+            for (let packet = reader.next(); packet; packet = reader.next()) {
+                if (packet.id === 0x00 && packet.data.length === 0) {
+                    setTimeout(() => socket.write(statusPacket), options.delay || 0);
+                } else if (packet.id === 0x01) {
+                    release();
+                    socket.end(createPacket(0x01, packet.data));
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, resolve));
+    after(() => server.close());
+    return { port: server.address().port, stats };
+}
+
+// 写入VarInt，返回写入的字节数
+function encodeVarInt(buffer, value) {
+    let offset = 0;
+    do {
+        let byte = value & 0x7F;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        buffer[offset++] = byte;
+    } while (value !== 0);
+    return offset;
+}
+
+module.exports = { loadServer, startJavaServer };
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadServer } = require('./helpers');
+
+const {
+    getHistoryFile,
+    recordHistory,
+    readHistory,
+    pruneHistory,
+    parseResolution,
+    downsampleHistory
+} = loadServer();
+
+// 直接写入历史记录文件
+function writeHistory(serverId, lines) {
+    const file = getHistoryFile(serverId);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+// 生成带中文错误信息的离线记录，使文件跨越多个读取块
+function createPoints(count, start) {
+    return Array.from({ length: count }, (_, i) => ({
+        t: start + i * 1000,
+        online: false,
+        players: 0,
+        max: 0,
+        latency: null,
+        version: null,
+        error: `连接超时: 第${i}次查询未收到服务器响应`
+    }));
+}
+
+test('记录的查询结果可以按时间顺序读回', async () => {
+    await recordHistory('roundtrip', { online: true, players: { online: 3, max: 20 }, latency: 42, version: '1.20.4' });
+    await recordHistory('roundtrip', { online: false, error: '连接错误: ECONNREFUSED' });
+
+    const points = await readHistory('roundtrip');
+    assert.strictEqual(points.length, 2);
+    assert.deepStrictEqual(
+        points.map(({ online, players, max, latency, error }) => ({ online, players, max, latency, error })),
+        [
+            { online: true, players: 3, max: 20, latency: 42, error: null },
+            { online: false, players: 0, max: 0, latency: null, error: '连接错误: ECONNREFUSED' }
+        ]
+    );
+    assert.ok(points[0].t <= points[1].t);
+});
+
+test('不存在的历史记录返回空数组', async () => {
+    assert.deepStrictEqual(await readHistory('missing'), []);
+});
+
+test('跨越多个读取块时完整读取多字节字符与时间范围', async () => {
+    const start = 1700000000000;
+    const points = createPoints(3000, start);
+    writeHistory('large', points.map(point => JSON.stringify(point)));
+    assert.ok(fs.statSync(getHistoryFile('large')).size > 3 * 64 * 1024);
+
+    assert.deepStrictEqual(await readHistory('large'), points);
+
+    const window = await readHistory('large', { from: start + 100 * 1000, to: start + 199 * 1000 });
+    assert.deepStrictEqual(window, points.slice(100, 200));
+
+    const tail = await readHistory('large', { from: start + 2990 * 1000 });
+    assert.deepStrictEqual(tail, points.slice(2990));
+});
+
+test('跳过损坏的行', async () => {
+    const points = createPoints(3, 1700000000000);
+    writeHistory('corrupt', [
+        JSON.stringify(points[0]),
+        '{"t":17000000',
+        JSON.stringify(points[1]),
+        JSON.stringify(points[2]).slice(0, 20)
+    ]);
+
+    assert.deepStrictEqual(await readHistory('corrupt'), points.slice(0, 2));
+});
+
+test('清理超过保留期的记录', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const old = createPoints(2, now - 40 * day);
+    const recent = createPoints(2, now - day);
+    writeHistory('prune', [...old, ...recent].map(point => JSON.stringify(point)));
+
+    await pruneHistory('prune');
+    assert.deepStrictEqual(await readHistory('prune'), recent);
+
+    writeHistory('expired', old.map(point => JSON.stringify(point)));
+    await pruneHistory('expired');
+    assert.strictEqual(fs.existsSync(getHistoryFile('expired')), false);
+});
+
+test('解析精度参数', () => {
+    assert.strictEqual(parseResolution('30'), 30 * 1000);
+    assert.strictEqual(parseResolution('5m'), 5 * 60 * 1000);
+    assert.strictEqual(parseResolution('1h'), 60 * 60 * 1000);
+    assert.strictEqual(parseResolution('1d'), 24 * 60 * 60 * 1000);
+    assert.strictEqual(parseResolution('0'), null);
+    assert.strictEqual(parseResolution('1w'), null);
+});
+
+test('按时间桶降采样', () => {
+    const points = [
+        { t: 0, online: true, players: 2, max: 20, latency: 10, version: '1.20.3' },
+        { t: 30000, online: true, players: 5, max: 20, latency: 20, version: '1.20.4' },
+        { t: 45000, online: false, players: 0, max: 0, latency: null, version: null },
+        { t: 60000, online: false, players: 0, max: 0, latency: null, version: null }
+    ];
+
+    assert.deepStrictEqual(downsampleHistory(points, 60000), [
+        { t: 0, samples: 3, uptime: 2 / 3, online: true, players: 3.5, playersMax: 5, max: 20, latency: 15, version: '1.20.4' },
+        { t: 60000, samples: 1, uptime: 0, online: false, players: 0, playersMax: 0, max: 0, latency: null, version: null }
+    ]);
+});
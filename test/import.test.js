@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+const { parseCsv, parseImportData, planServerImport, applyServerImport } = loadServer();
+
+const SERVERS = [
+    { id: 1, name: 'Survival', address: 'mc.example.com', port: 25565, type: 'java', category: '生存', description: '' },
+    { id: 2, name: 'Creative', address: 'creative.example.com', port: 25565, type: 'java', category: '创造', description: '' }
+];
+
+test('解析带引号、转义与BOM的CSV', () => {
+    const csv = '﻿name,address,port,description\r\n"Lobby, EU",lobby.example.com,25565,"说明 ""引号"""\n\n,play.example.com,25566\n';
+    assert.deepStrictEqual(parseCsv(csv), [
+        { name: 'Lobby, EU', address: 'lobby.example.com', port: '25565', description: '说明 "引号"' },
+        { name: '', address: 'play.example.com', port: '25566', description: '' }
+    ]);
+    assert.deepStrictEqual(parseCsv(''), []);
+});
+
+test('解析导出的JSON与接口返回结果', () => {
+    assert.deepStrictEqual(parseImportData('json', '[{"name":"a"}]'), [{ name: 'a' }]);
+    assert.deepStrictEqual(parseImportData('json', { servers: [{ name: 'b' }] }), [{ name: 'b' }]);
+    assert.throws(() => parseImportData('json', { name: 'c' }), /JSON数据必须是服务器数组/);
+    assert.throws(() => parseImportData('csv', []), /CSV数据必须是字符串/);
+});
+
+test('导入计划区分新增、更新、未变更、重复与错误', () => {
+    const plan = planServerImport([
+        { name: 'Survival', address: 'mc.example.com', port: 25565, category: '生存', online: true, players: { online: 3 } },
+        { name: 'Creative', address: 'creative.example.com', port: '25565', category: '建筑' },
+        { name: 'Lobby', address: 'lobby.example.com' },
+        { name: 'Lobby copy', address: 'LOBBY.example.com', port: 25565 },
+        { name: '', address: 'bad address' }
+    ], SERVERS, 'merge');
+
+    assert.deepStrictEqual(plan.summary, { add: 1, update: 1, unchanged: 1, duplicate: 1, error: 1, remove: 0 });
+    assert.deepStrictEqual(plan.rows.map(row => row.action), ['unchanged', 'update', 'add', 'duplicate', 'error']);
+    assert.deepStrictEqual(plan.rows[1].changes, ['category']);
+    assert.strictEqual(plan.rows[3].duplicateOf, 3);
+    assert.deepStrictEqual(Object.keys(plan.rows[4].errors), ['name', 'address']);
+});
+
+test('替换模式删除导入数据中不存在的服务器', () => {
+    const plan = planServerImport([{ name: 'Lobby', address: 'lobby.example.com' }], SERVERS, 'replace');
+    assert.deepStrictEqual(plan.removed, [
+        { id: 1, name: 'Survival', key: 'mc.example.com:25565' },
+        { id: 2, name: 'Creative', key: 'creative.example.com:25565' }
+    ]);
+
+    let nextId = 3;
+    const servers = applyServerImport(plan, SERVERS, () => nextId++);
+    assert.deepStrictEqual(servers.map(server => [server.id, server.name]), [[3, 'Lobby']]);
+});
+
+test('按导入计划更新服务器并配置RCON', () => {
+    const plan = planServerImport([
+        { name: 'Survival', address: 'mc.example.com', category: '生存', rconPassword: 'secret' },
+        { name: 'Lobby', address: 'lobby.example.com', port: 25570 }
+    ], SERVERS, 'merge');
+    assert.deepStrictEqual(plan.rows[0].changes, ['rcon']);
+
+    let nextId = 3;
+    const servers = applyServerImport(plan, SERVERS, () => nextId++);
+    assert.strictEqual(servers.length, 3);
+    assert.deepStrictEqual(servers[0].rcon, { port: 25575, password: 'secret' });
+    assert.deepStrictEqual({ id: servers[2].id, port: servers[2].port }, { id: 3, port: 25570 });
+
+    // 原服务器列表不被修改
+    assert.strictEqual(SERVERS[0].rcon, undefined);
+});
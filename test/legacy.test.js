@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { loadServer } = require('./helpers');
+
+const { createLegacyPingPacket, parseLegacyResponse, queryMinecraftServer } = loadServer();
+
+// 构造旧版Kick响应: 0xFF + UTF-16字符数 + UTF-16BE文本
+function createLegacyResponse(text) {
+    const body = Buffer.from(text, 'utf16le').swap16();
+    const header = Buffer.alloc(3);
+    header.writeUInt8(0xFF, 0);
+    header.writeUInt16BE(text.length, 1);
+    return Buffer.concat([header, body]);
+}
+
+test('解析1.4至1.6格式的旧版响应', () => {
+    const response = createLegacyResponse('§1\u000074\u00001.6.4\u0000A Minecraft Server\u00003\u000020');
+    assert.deepStrictEqual(parseLegacyResponse(response), {
+        protocol: 74,
+        version: '1.6.4',
+        motd: 'A Minecraft Server',
+        players: { online: 3, max: 20 }
+    });
+});
+
+test('解析Beta格式的旧版响应，MOTD中可以包含分隔符', () => {
+    const response = createLegacyResponse('Old §cserver§5§10');
+    assert.deepStrictEqual(parseLegacyResponse(response), {
+        protocol: 0,
+        version: null,
+        motd: 'Old §cserver',
+        players: { online: 5, max: 10 }
+    });
+});
+
+test('数据不完整时返回null，无效数据抛出异常', () => {
+    const response = createLegacyResponse('§1\u000074\u00001.6.4\u0000motd\u00001\u00002');
+    assert.strictEqual(parseLegacyResponse(response.subarray(0, 2)), null);
+    assert.strictEqual(parseLegacyResponse(response.subarray(0, response.length - 1)), null);
+
+    assert.throws(() => parseLegacyResponse(Buffer.from([0x00, 0x01])), { code: 'INVALID_PACKET_ID' });
+    assert.throws(() => parseLegacyResponse(createLegacyResponse('motd')), { code: 'INVALID_RESPONSE' });
+});
+
+test('1.6 Ping包包含MC|PingHost频道、主机名与端口', () => {
+    const packet = createLegacyPingPacket('mc.example.com', 25565);
+    assert.deepStrictEqual([...packet.subarray(0, 3)], [0xFE, 0x01, 0xFA]);
+    assert.strictEqual(packet.readUInt16BE(3), 'MC|PingHost'.length);
+    assert.strictEqual(packet.readInt32BE(packet.length - 4), 25565);
+    assert.ok(packet.includes(Buffer.from('mc.example.com', 'utf16le').swap16()));
+});
+
+test('现代协议握手被断开时回退到旧版Ping', async (t) => {
+    // 只响应旧版Ping，收到现代握手包时直接断开
+    const server = net.createServer(socket => {
+        socket.once('data', data => {
+            if (data[0] === 0xFE) {
+                socket.end(createLegacyResponse('§1\u000061\u00001.5.2\u0000Legacy\u00002\u00008'));
+            } else {
+                socket.destroy();
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const status = await queryMinecraftServer('127.0.0.1', server.address().port, 'legacy');
+    assert.strictEqual(status.online, true);
+    assert.strictEqual(status.legacy, true);
+    assert.strictEqual(status.version, '1.5.2');
+    assert.deepStrictEqual({ online: status.players.online, max: status.players.max }, { online: 2, max: 8 });
+});
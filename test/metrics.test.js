@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+const { statusEvents, classifyQueryError, recordPollMetrics, deleteServerMetrics, renderMetrics } = loadServer();
+
+const SERVERS = [
+    { id: 1, name: 'Survival "EU"', address: 'mc.example.com', port: 25565, category: '生存' },
+    { id: 2, name: 'Bedrock', address: 'be.example.com', port: 19132, type: 'bedrock' },
+    { id: 3, name: 'Never queried', address: 'new.example.com', port: 25565 }
+];
+
+// 查找指标中的样本行
+function findSamples(output, name) {
+    return output.split('\n').filter(line => line.startsWith(`mcmonitor_${name}{`) || line.startsWith(`mcmonitor_${name} `));
+}
+
+// 读取指定序列的值，不存在时返回null
+function getSampleValue(output, series) {
+    const line = output.split('\n').find(sample => sample.startsWith(`mcmonitor_${series} `));
+    return line ? Number(line.slice(line.lastIndexOf(' ') + 1)) : null;
+}
+
+test('错误信息归类为有限的错误类型', () => {
+    assert.strictEqual(classifyQueryError({ errorCode: 'INVALID_LENGTH' }), 'invalid_length');
+    assert.strictEqual(classifyQueryError({ error: '连接超时: 5000ms' }), 'timeout');
+    assert.strictEqual(classifyQueryError({ error: 'connect ECONNREFUSED 127.0.0.1:25565' }), 'connection_refused');
+    assert.strictEqual(classifyQueryError({ error: 'getaddrinfo ENOTFOUND mc.invalid' }), 'dns');
+    assert.strictEqual(classifyQueryError({ error: '连接关闭' }), 'connection_closed');
+    assert.strictEqual(classifyQueryError({ error: '无效的数据包' }), 'other');
+});
+
+test('按查询结果输出服务器指标并转义标签', () => {
+    statusEvents.emit('result', { id: 1, online: true, players: { online: 5, max: 20 }, latency: 42 }, SERVERS[0]);
+    statusEvents.emit('result', { id: 2, online: false, error: '连接超时: 5000ms' }, SERVERS[1]);
+
+    const output = renderMetrics(SERVERS);
+    assert.ok(output.includes('# TYPE mcmonitor_server_up gauge\n'));
+    assert.deepStrictEqual(findSamples(output, 'server_up'), [
+        'mcmonitor_server_up{id="1",name="Survival \\"EU\\"",address="mc.example.com:25565",category="生存",type="java"} 1',
+        'mcmonitor_server_up{id="2",name="Bedrock",address="be.example.com:19132",category="未分类",type="bedrock"} 0'
+    ]);
+
+    // 离线与未查询过的服务器不输出玩家数与延迟
+    assert.strictEqual(findSamples(output, 'server_players_online').length, 1);
+    assert.ok(findSamples(output, 'server_players_online')[0].endsWith(' 5'));
+    assert.ok(findSamples(output, 'server_latency_seconds')[0].endsWith(' 0.042'));
+    assert.strictEqual(findSamples(output, 'server_last_success_timestamp_seconds').length, 1);
+
+    deleteServerMetrics(1);
+    assert.strictEqual(findSamples(renderMetrics(SERVERS), 'server_up').length, 1);
+});
+
+test('轮询耗时直方图与查询计数', () => {
+    recordPollMetrics(SERVERS[2], { online: true }, 80);
+    recordPollMetrics(SERVERS[2], { online: false, error: '连接超时: 5000ms' }, 5000);
+
+    const output = renderMetrics(SERVERS);
+    const bucket = (le) => getSampleValue(output, `poller_query_duration_seconds_bucket{type="java",le="${le}"}`);
+
+    assert.strictEqual(bucket('0.05'), 0);
+    assert.strictEqual(bucket('0.1'), 1);
+    assert.strictEqual(bucket('5'), 2);
+    assert.strictEqual(bucket('+Inf'), 2);
+    assert.strictEqual(getSampleValue(output, 'poller_query_duration_seconds_sum{type="java"}'), 5.08);
+    assert.strictEqual(getSampleValue(output, 'poller_query_duration_seconds_count{type="java"}'), 2);
+    assert.strictEqual(getSampleValue(output, 'poller_queries_total{type="java",result="success"}'), 1);
+    assert.strictEqual(getSampleValue(output, 'poller_queries_total{type="java",result="failure"}'), 1);
+    assert.strictEqual(getSampleValue(output, 'poller_query_errors_total{type="java",error_type="timeout"}'), 1);
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+const { parseModInfo, decodeForgeData } = loadServer();
+
+// 编码VarInt
+function varInt(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7F;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value !== 0);
+    return Buffer.from(bytes);
+}
+
+// 编码带长度前缀的字符串
+function string(value) {
+    const data = Buffer.from(value, 'utf8');
+    return Buffer.concat([varInt(data.length), data]);
+}
+
+// 按FML3格式将字节压缩为每字符15位的字符串 (与decodeForgeData相反)
+function encodeForgeData(bytes) {
+    let result = String.fromCharCode(bytes.length & 0x7FFF, bytes.length >>> 15);
+    let bits = 0;
+    let bitCount = 0;
+
+    for (const byte of bytes) {
+        bits |= byte << bitCount;
+        bitCount += 8;
+        if (bitCount >= 15) {
+            result += String.fromCharCode(bits & 0x7FFF);
+            bits >>>= 15;
+            bitCount -= 15;
+        }
+    }
+    if (bitCount > 0) result += String.fromCharCode(bits);
+    return result;
+}
+
+// 模组数据: 是否截断 + 模组数量 + 每个模组 (标记、ID、版本、频道) + 其他频道
+function createForgePayload(truncated) {
+    return Buffer.concat([
+        Buffer.from([truncated ? 1 : 0, 0x00, 0x02]),
+        varInt(1 << 1), string('create'), string('0.5.1'),
+        string('main'), string('1'), Buffer.from([1]),
+        varInt(0x1), string('servercore'),
+        varInt(1), string('minecraft:register'), string('FML3'), Buffer.from([0])
+    ]);
+}
+
+test('解码FML3压缩的模组与频道列表', () => {
+    assert.deepStrictEqual(decodeForgeData(encodeForgeData(createForgePayload(false))), {
+        truncated: false,
+        mods: [
+            { id: 'create', version: '0.5.1', serverOnly: false },
+            { id: 'servercore', version: null, serverOnly: true }
+        ],
+        channels: [
+            { name: 'create:main', version: '1', required: true },
+            { name: 'minecraft:register', version: 'FML3', required: false }
+        ]
+    });
+});
+
+test('拒绝不完整的forgeData', () => {
+    const payload = createForgePayload(true);
+    assert.throws(() => decodeForgeData(encodeForgeData(payload.subarray(0, 12))), { code: 'TRUNCATED' });
+});
+
+test('识别Forge 1.13+的forgeData', () => {
+    const info = parseModInfo({ forgeData: { fmlNetworkVersion: 3, d: encodeForgeData(createForgePayload(true)) } });
+    assert.strictEqual(info.loader, 'forge');
+    assert.strictEqual(info.fmlNetworkVersion, 3);
+    assert.strictEqual(info.truncated, true);
+    assert.deepStrictEqual(info.mods.map(mod => mod.id), ['create', 'servercore']);
+
+    const neoforge = parseModInfo({
+        forgeData: { fmlNetworkVersion: 2, mods: [{ modId: 'neoforge', modmarker: '20.4.1' }], channels: [] }
+    });
+    assert.strictEqual(neoforge.loader, 'neoforge');
+    assert.deepStrictEqual(neoforge.mods, [{ id: 'neoforge', version: '20.4.1' }]);
+});
+
+test('识别旧版Forge、Fabric与整合包信息', () => {
+    assert.deepStrictEqual(parseModInfo({ modinfo: { type: 'FML', modList: [{ modid: 'mcp', version: '9.42' }] } }), {
+        loader: 'forge',
+        fmlNetworkVersion: 1,
+        truncated: false,
+        mods: [{ id: 'mcp', version: '9.42' }],
+        channels: []
+    });
+    assert.strictEqual(parseModInfo({ isModded: true }).loader, 'neoforge');
+    assert.strictEqual(parseModInfo({ version: { name: 'Quilt 1.20.1' } }).loader, 'quilt');
+    assert.strictEqual(parseModInfo({ version: { name: 'fabric 1.20.1' } }).loader, 'fabric');
+    assert.strictEqual(parseModInfo({ version: { name: 'Paper 1.20.4' } }), null);
+
+    const modpack = parseModInfo({ modpackData: { name: 'ATM9', version: '0.2.44', projectID: 715572 } });
+    assert.strictEqual(modpack.loader, 'unknown');
+    assert.deepStrictEqual(modpack.modpack, { name: 'ATM9', version: '0.2.44', projectId: 715572 });
+});
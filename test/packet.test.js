@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+const { PacketReader, PacketError, createPacket, parseStatusPacket } = loadServer();
+
+// 编码VarInt
+function encodeVarInt(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7F;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value !== 0);
+    return Buffer.from(bytes);
+}
+
+// 构造状态响应数据包
+function createStatusPacket(status) {
+    const json = Buffer.from(JSON.stringify(status));
+    return createPacket(0x00, Buffer.concat([encodeVarInt(json.length), json]));
+}
+
+test('跨越多个TCP分段的状态响应可以完整读取', () => {
+    const status = { version: { name: '1.20.1', protocol: 763 }, favicon: 'data:image/png;base64,' + 'A'.repeat(100000) };
+    const packet = createStatusPacket(status);
+    const reader = new PacketReader();
+
+    for (let offset = 0; offset < packet.length; offset += 1400) {
+        assert.strictEqual(reader.next(), null, '数据不完整时不应返回数据包');
+        reader.push(packet.subarray(offset, offset + 1400));
+    }
+
+    const result = reader.next();
+    assert.strictEqual(result.id, 0x00);
+    assert.deepStrictEqual(parseStatusPacket(result), status);
+    assert.strictEqual(reader.pending, 0);
+});
+
+test('逐字节接收时长度前缀不完整也能正确分帧', () => {
+    const packet = createStatusPacket({ description: 'x'.repeat(300) });
+    const reader = new PacketReader();
+
+    let result = null;
+    for (const byte of packet) {
+        reader.push(Buffer.from([byte]));
+        result = reader.next() || result;
+    }
+
+    assert.deepStrictEqual(parseStatusPacket(result), { description: 'x'.repeat(300) });
+});
+
+test('同一分段中的多个数据包按顺序读取，剩余部分保留', () => {
+    const pong = createPacket(0x01, Buffer.alloc(8, 7));
+    const status = createStatusPacket({ players: { online: 1, max: 20 } });
+    const reader = new PacketReader();
+    reader.push(Buffer.concat([status, pong, pong.subarray(0, 3)]));
+
+    assert.strictEqual(reader.next().id, 0x00);
+    assert.deepStrictEqual(reader.next(), { id: 0x01, data: Buffer.alloc(8, 7) });
+    assert.strictEqual(reader.next(), null);
+    assert.strictEqual(reader.pending, 3);
+});
+
+test('无效的数据包长度抛出INVALID_LENGTH', () => {
+    const reader = new PacketReader();
+    reader.push(Buffer.from([0x00]));
+    assert.throws(() => reader.next(), error => error instanceof PacketError && error.code === 'INVALID_LENGTH');
+
+    const oversized = new PacketReader();
+    oversized.push(encodeVarInt(2097152));
+    assert.throws(() => oversized.next(), { code: 'INVALID_LENGTH' });
+});
+
+test('声明长度超过实际数据的JSON被判定为不完整', () => {
+    const json = Buffer.from('{"a":1}');
+    const reader = new PacketReader();
+    reader.push(createPacket(0x00, Buffer.concat([encodeVarInt(json.length + 10), json])));
+
+    assert.throws(() => parseStatusPacket(reader.next()), { code: 'TRUNCATED' });
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+const { extractPlayers, trackPlayers, findPlayerKey, formatPlayer, deletePlayerSessions } = loadServer();
+
+const SERVER_NAMES = new Map([['1', 'Survival'], ['2', 'Creative'], ['3', 'Lobby'], ['4', 'Minigames']]);
+const STEVE_UUID = '8667ba71-b85a-4004-af54-457a9734eed7';
+const NOTCH_UUID = '069a79f4-44e9-4726-a5be-fca90e38aaf5';
+
+// 构造在线状态，sample为状态响应中的玩家采样
+function onlineStatus(sample, online = sample.length) {
+    return { online: true, players: { online, max: 20, sample } };
+}
+
+// 查询玩家当前所在的服务器
+function onlineServers(name) {
+    const key = findPlayerKey(name);
+    return key ? formatPlayer(key, SERVER_NAMES).onlineServers : [];
+}
+
+test('从查询结果中提取玩家并过滤自定义文字', () => {
+    assert.deepStrictEqual(extractPlayers({ players: { online: 2, list: ['Steve', 'Alex'] } }), {
+        complete: true,
+        players: [{ name: 'Steve', uuid: null }, { name: 'Alex', uuid: null }]
+    });
+
+    assert.deepStrictEqual(extractPlayers(onlineStatus([
+        { name: 'Steve', id: STEVE_UUID },
+        { name: '§a欢迎来到服务器', id: '00000000-0000-0000-0000-000000000000' },
+        { name: 'Alex', id: '00000000-0000-0000-0000-000000000000' }
+    ], 5)), {
+        complete: false,
+        players: [{ name: 'Steve', uuid: STEVE_UUID }, { name: 'Alex', uuid: null }]
+    });
+});
+
+test('完整的玩家列表中消失的玩家结束会话', async () => {
+    await trackPlayers(1, { online: true, players: { online: 2, max: 20, list: ['Steve', 'Alex'] } });
+    assert.deepStrictEqual(onlineServers('steve'), [1]);
+    assert.deepStrictEqual(onlineServers('Alex'), [1]);
+
+    await trackPlayers(1, { online: true, players: { online: 1, max: 20, list: ['Steve'] } });
+    assert.deepStrictEqual(onlineServers('Steve'), [1]);
+    assert.deepStrictEqual(onlineServers('Alex'), []);
+
+    const alex = formatPlayer(findPlayerKey('alex'), SERVER_NAMES);
+    assert.strictEqual(alex.sessionCount, 1);
+    assert.strictEqual(alex.lastServerName, 'Survival');
+});
+
+test('采样不完整时未出现的玩家保持在线', async () => {
+    await trackPlayers(2, onlineStatus([{ name: 'Notch', id: NOTCH_UUID }, { name: 'Jeb' }], 2));
+    await trackPlayers(2, onlineStatus([{ name: 'Notch' }], 10));
+
+    assert.deepStrictEqual(onlineServers('Jeb'), [2]);
+    assert.strictEqual(findPlayerKey(NOTCH_UUID.replace(/-/g, '')), 'notch');
+});
+
+test('连续多次查询失败后才结束服务器的会话', async () => {
+    await trackPlayers(3, onlineStatus([{ name: 'Herobrine' }]));
+
+    const offline = { online: false, error: '连接超时: 5000ms' };
+    await trackPlayers(3, offline);
+    await trackPlayers(3, offline);
+    assert.deepStrictEqual(onlineServers('Herobrine'), [3]);
+
+    // 恢复在线后重新计数
+    await trackPlayers(3, onlineStatus([{ name: 'Herobrine' }]));
+    await trackPlayers(3, offline);
+    await trackPlayers(3, offline);
+    assert.deepStrictEqual(onlineServers('Herobrine'), [3]);
+
+    await trackPlayers(3, offline);
+    assert.deepStrictEqual(onlineServers('Herobrine'), []);
+    assert.strictEqual(formatPlayer(findPlayerKey('Herobrine'), SERVER_NAMES).sessionCount, 1);
+});
+
+test('删除服务器时移除相关会话', async () => {
+    await trackPlayers(4, onlineStatus([{ name: 'Dinnerbone' }]));
+    await deletePlayerSessions(4);
+
+    const player = formatPlayer(findPlayerKey('Dinnerbone'), SERVER_NAMES);
+    assert.strictEqual(player.online, false);
+    assert.strictEqual(player.sessionCount, 0);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const dgram = require('dgram');
+const { loadServer } = require('./helpers');
+
+const { parseFullStat, parseQueryPlugins, queryGameSpyServer } = loadServer();
+
+// 构造完整状态响应: 键值对部分与玩家列表部分
+function createFullStat(sessionId, info, players) {
+    const header = Buffer.alloc(5);
+    header.writeUInt8(0x00, 0);
+    header.writeInt32BE(sessionId, 1);
+
+    const pairs = Object.entries(info).map(([key, value]) => `${key}\0${value}\0`).join('');
+    const list = players.map(player => `${player}\0`).join('');
+    return Buffer.concat([
+        header,
+        Buffer.from('splitnum\0\x80\0', 'latin1'),
+        Buffer.from(pairs + '\0'),
+        Buffer.from('\x01player_\0\0', 'latin1'),
+        Buffer.from(list + '\0')
+    ]);
+}
+
+const INFO = {
+    hostname: '测试服务器',
+    gametype: 'SMP',
+    game_id: 'MINECRAFT',
+    version: '1.20.4',
+    plugins: 'Paper on 1.20.4: WorldEdit 7.2.15; EssentialsX 2.20.1',
+    map: 'world',
+    numplayers: '2',
+    maxplayers: '20',
+    hostport: '25565',
+    hostip: '127.0.0.1'
+};
+
+test('解析Query完整状态中的服务器信息与玩家列表', () => {
+    const status = parseFullStat(createFullStat(1, INFO, ['Steve', 'Alex']));
+    assert.deepStrictEqual(status, {
+        motd: '测试服务器',
+        gametype: 'SMP',
+        gameId: 'MINECRAFT',
+        version: '1.20.4',
+        map: 'world',
+        software: 'Paper on 1.20.4',
+        plugins: ['WorldEdit 7.2.15', 'EssentialsX 2.20.1'],
+        players: { online: 2, max: 20, list: ['Steve', 'Alex'] },
+        hostPort: 25565,
+        hostIp: '127.0.0.1'
+    });
+});
+
+test('解析插件字段', () => {
+    assert.deepStrictEqual(parseQueryPlugins(''), { software: null, plugins: [] });
+    assert.deepStrictEqual(parseQueryPlugins('CraftBukkit'), { software: 'CraftBukkit', plugins: [] });
+    assert.deepStrictEqual(parseQueryPlugins('Spigot: A 1;; B 2 '), { software: 'Spigot', plugins: ['A 1', 'B 2'] });
+});
+
+test('拒绝不完整的Query响应', () => {
+    const message = createFullStat(1, INFO, []);
+    assert.throws(() => parseFullStat(message.subarray(0, 40)), { code: 'TRUNCATED' });
+});
+
+test('通过握手与挑战令牌完成Query查询', async (t) => {
+    const token = 9513307;
+    const server = dgram.createSocket('udp4');
+    server.on('message', (message, remote) => {
+        const type = message.readUInt8(2);
+        const sessionId = message.readInt32BE(3);
+        let reply;
+        if (type === 0x09) {
+            const header = Buffer.alloc(5);
+            header.writeInt32BE(sessionId, 1);
+            header.writeUInt8(0x09, 0);
+            reply = Buffer.concat([header, Buffer.from(`${token}\0`)]);
+        } else if (type === 0x00 && message.readInt32BE(7) === token) {
+            reply = createFullStat(sessionId, INFO, ['Steve']);
+        }
+        if (reply) server.send(reply, remote.port, remote.address);
+    });
+    await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const status = await queryGameSpyServer('127.0.0.1', server.address().port);
+    assert.strictEqual(status.software, 'Paper on 1.20.4');
+    assert.deepStrictEqual(status.players.list, ['Steve']);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateServerEntry, isValidAddress } = require('../js/schema');
+
+test('校验通过时填充默认值并转换字段类型', () => {
+    assert.deepStrictEqual(validateServerEntry({ name: ' Survival ', address: 'mc.example.com' }), {
+        value: { name: 'Survival', address: 'mc.example.com', type: 'java', port: 25565, category: '未分类', description: '' },
+        errors: null
+    });
+
+    const { value, errors } = validateServerEntry({
+        name: 'Bedrock',
+        address: '192.168.1.10',
+        type: 'bedrock',
+        query: 'on',
+        pollInterval: '60',
+        rconPassword: ' secret '
+    });
+    assert.strictEqual(errors, null);
+    assert.strictEqual(value.port, 19132);
+    assert.strictEqual(value.query, true);
+    assert.strictEqual(value.pollInterval, 60);
+    assert.strictEqual(value.rconPassword, ' secret ');
+});
+
+test('返回每个字段的错误信息', () => {
+    const { errors } = validateServerEntry({
+        address: 'not a host!',
+        type: 'pocket',
+        port: '70000',
+        pollInterval: 1.5,
+        query: 'yes',
+        id: 5,
+        extra: true
+    });
+
+    assert.deepStrictEqual(errors, {
+        id: '该字段不允许修改',
+        extra: '未知字段',
+        name: '请输入服务器名称',
+        address: '请输入有效的服务器地址',
+        type: '服务器类型必须是 java / bedrock 之一',
+        port: '端口必须在 1-65535 之间',
+        query: 'Query必须是布尔值',
+        pollInterval: '轮询间隔必须是整数'
+    });
+
+    assert.deepStrictEqual(validateServerEntry([]), { value: null, errors: { _: '服务器配置必须是对象' } });
+    assert.strictEqual(validateServerEntry({ name: 'a'.repeat(51), address: 'localhost' }).errors.name, '服务器名称不能超过50个字符');
+});
+
+test('部分更新只校验提交的字段，清除的可选字段恢复默认值', () => {
+    assert.deepStrictEqual(validateServerEntry({ port: '25566' }, { partial: true }), {
+        value: { port: 25566 },
+        errors: null
+    });
+
+    assert.deepStrictEqual(validateServerEntry({ category: '', rconPassword: null }, { partial: true }), {
+        value: { category: '未分类', rconPassword: null },
+        errors: null
+    });
+
+    assert.deepStrictEqual(validateServerEntry({ name: '', port: null }, { partial: true }).errors, {
+        name: '请输入服务器名称',
+        port: '请输入端口'
+    });
+});
+
+test('识别地址格式', () => {
+    for (const address of ['mc.example.com', 'play.hypixel.net', '10.0.0.1', 'localhost', 'minecraft']) {
+        assert.ok(isValidAddress(address), address);
+    }
+    for (const address of ['256.1.1.1', '-bad.example.com', 'mc example.com', 'http://mc.example.com']) {
+        assert.ok(!isValidAddress(address), address);
+    }
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServerStore, createBackend, registerBackend, writeFileAtomic } = require('../storage');
+
+// 记录保存次数的内存后端，load返回initial
+function createTestBackend(initial = null) {
+    const backend = {
+        saved: [],
+        async load() {
+            return structuredClone(initial);
+        },
+        async save(data) {
+            if (backend.failNext) {
+                backend.failNext = false;
+                throw new Error('磁盘已满');
+            }
+            backend.saved.push(structuredClone(data));
+        }
+    };
+    return backend;
+}
+
+// 创建测试结束后删除的临时目录
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mc-monitor-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('迁移旧版服务器数组并重新分配无效或重复的ID', async () => {
+    const backend = createTestBackend([
+        { id: '3', name: 'A' },
+        { id: 3, name: 'B' },
+        { name: 'C' },
+        null,
+        { id: 1, name: 'D' }
+    ]);
+    const store = createServerStore({ backend });
+
+    assert.deepStrictEqual(await store.init(), {
+        seeded: false,
+        migrated: true,
+        reassigned: [{ from: 3, to: 4, name: 'B' }, { from: undefined, to: 5, name: 'C' }],
+        count: 4
+    });
+    assert.deepStrictEqual(store.getAll().map(server => [server.id, server.name]), [[3, 'A'], [4, 'B'], [5, 'C'], [1, 'D']]);
+    assert.deepStrictEqual(backend.saved[0], { version: 2, nextId: 6, servers: store.getAll() });
+});
+
+test('当前格式的数据不重复保存，nextId不回退', async () => {
+    const backend = createTestBackend({ version: 2, nextId: 10, servers: [{ id: 2, name: 'A' }] });
+    const store = createServerStore({ backend });
+
+    const result = await store.init();
+    assert.strictEqual(result.migrated, false);
+    assert.strictEqual(backend.saved.length, 0);
+
+    await store.update((servers, { allocateId }) => {
+        servers.push({ id: allocateId(), name: 'B' });
+    });
+    assert.deepStrictEqual(store.getAll().map(server => server.id), [2, 10]);
+});
+
+test('首次运行时使用示例列表初始化', async (t) => {
+    const dir = createTempDir(t);
+    const seedFile = path.join(dir, 'seed.json');
+    fs.writeFileSync(seedFile, JSON.stringify([{ name: 'Hypixel', address: 'mc.hypixel.net', port: 25565 }]));
+
+    const store = createServerStore({ backend: createTestBackend(), seedFile });
+    const result = await store.init();
+    assert.strictEqual(result.seeded, true);
+    assert.deepStrictEqual(store.getAll(), [{ id: 1, name: 'Hypixel', address: 'mc.hypixel.net', port: 25565 }]);
+
+    await assert.rejects(createServerStore({ backend: createTestBackend({ servers: 'invalid' }) }).init(), /服务器列表数据格式无效/);
+});
+
+test('并发修改按顺序执行，保存失败时保持原列表', async () => {
+    const backend = createTestBackend();
+    const store = createServerStore({ backend });
+    await store.init();
+
+    const add = (name) => store.update((servers, { allocateId }) => {
+        servers.push({ id: allocateId(), name });
+    });
+    await Promise.all(['A', 'B', 'C'].map(add));
+    assert.deepStrictEqual(store.getAll().map(server => [server.id, server.name]), [[1, 'A'], [2, 'B'], [3, 'C']]);
+
+    backend.failNext = true;
+    await assert.rejects(add('D'), /磁盘已满/);
+    await assert.rejects(store.update(servers => {
+        servers[0].id = 0;
+    }), /无效的服务器ID: 0/);
+    assert.strictEqual(await store.update(() => false), false);
+    assert.strictEqual(store.getAll().length, 3);
+
+    // getAll返回副本
+    store.getAll()[0].name = 'changed';
+    assert.strictEqual(store.getAll()[0].name, 'A');
+});
+
+test('JSON文件后端原子写入并拒绝损坏的文件', async (t) => {
+    const dir = createTempDir(t);
+    const file = path.join(dir, 'nested', 'servers.json');
+
+    const store = createServerStore({ type: 'json', file });
+    await store.init();
+    await store.update((servers, { allocateId }) => {
+        servers.push({ id: allocateId(), name: 'A' });
+    });
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { version: 2, nextId: 2, servers: [{ id: 1, name: 'A' }] });
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['servers.json']);
+
+    fs.writeFileSync(file, '{"servers": [');
+    await assert.rejects(createServerStore({ type: 'json', file }).init(), SyntaxError);
+
+    await writeFileAtomic(file, 'replaced');
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), 'replaced');
+});
+
+test('注册自定义后端并检查后端接口', () => {
+    registerBackend('test', () => createTestBackend());
+    assert.strictEqual(typeof createBackend('test').load, 'function');
+
+    assert.throws(() => registerBackend('bad', {}), TypeError);
+    assert.throws(() => createBackend('missing'), /未知的存储后端: missing/);
+
+    registerBackend('incomplete', () => ({ load() {} }));
+    assert.throws(() => createBackend('incomplete'), /存储后端 incomplete 缺少 save\(\) 方法/);
+});
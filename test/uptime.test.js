@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadServer } = require('./helpers');
+
+const { getIncidentReason, calculateUptime } = loadServer();
+
+const NOW = Date.parse('2024-01-10T00:00:00.000Z');
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// 生成每10分钟一条的记录，offline中的序号为离线记录
+function createPoints(count, start, offline = [], error = '连接超时: 5000ms') {
+    return Array.from({ length: count }, (_, i) => ({
+        t: start + i * 10 * MINUTE,
+        online: !offline.includes(i),
+        error: offline.includes(i) ? error : null
+    }));
+}
+
+test('从错误信息中提取故障原因', () => {
+    assert.strictEqual(getIncidentReason('连接超时: 5000ms'), '连接超时');
+    assert.strictEqual(getIncidentReason('连接错误：ECONNREFUSED'), '连接错误');
+    assert.strictEqual(getIncidentReason(null), '未知错误');
+    assert.strictEqual(getIncidentReason(': 无前缀'), '未知错误');
+});
+
+test('按时间加权计算可用率并合并连续的离线记录', () => {
+    const points = createPoints(12, NOW - 2 * HOUR, [5, 6]);
+    const { uptime, incidents } = calculateUptime(points.reverse(), NOW);
+
+    assert.deepStrictEqual(uptime, { '24h': 0.8333, '7d': 0.8333, '30d': 0.8333 });
+    assert.deepStrictEqual(incidents, [{
+        start: new Date(NOW - 70 * MINUTE).toISOString(),
+        end: new Date(NOW - 50 * MINUTE).toISOString(),
+        duration: 20 * MINUTE,
+        ongoing: false,
+        checks: 2,
+        reason: '连接超时',
+        error: '连接超时: 5000ms'
+    }]);
+});
+
+test('记录间隔过长的部分视为无数据，窗口外的记录不计入', () => {
+    const points = [
+        { t: NOW - 10 * DAY, online: false, error: '连接错误: ECONNREFUSED' },
+        { t: NOW - 2 * HOUR, online: true },
+        { t: NOW - HOUR, online: true }
+    ];
+    const { uptime, incidents } = calculateUptime(points, NOW);
+
+    // 每条记录最多延续30分钟: 离线30分钟 (仅在30天窗口内)，在线60分钟
+    assert.deepStrictEqual(uptime, { '24h': 1, '7d': 1, '30d': 0.6667 });
+    assert.strictEqual(incidents.length, 1);
+    assert.strictEqual(incidents[0].reason, '连接错误');
+    assert.strictEqual(incidents[0].duration, 10 * DAY - 2 * HOUR);
+});
+
+test('仍在持续的故障与无记录的情况', () => {
+    const points = createPoints(3, NOW - 30 * MINUTE, [1, 2], '连接关闭');
+    points[1].error = '连接超时: 5000ms';
+    const { incidents } = calculateUptime(points, NOW);
+
+    assert.strictEqual(incidents.length, 1);
+    assert.strictEqual(incidents[0].ongoing, true);
+    assert.strictEqual(incidents[0].end, null);
+    assert.strictEqual(incidents[0].duration, 20 * MINUTE);
+    assert.strictEqual(incidents[0].error, '连接超时: 5000ms');
+
+    assert.deepStrictEqual(calculateUptime([], NOW), { uptime: { '24h': null, '7d': null, '30d': null }, incidents: [] });
+});
@@ -0,0 +1,154 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+const windows = [];
+
+// 关闭测试中创建的页面，释放定时器
+afterEach(() => {
+    while (windows.length > 0) windows.pop().close();
+});
+
+// 加载页面与前端脚本，接口请求按路径返回responses中的数据，其余返回404
+// 脚本在DOMContentLoaded之后执行，不会运行页面初始化
+async function loadApp(responses = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="js\/[^"]+"><\/script>/g, '');
+    const dom = new JSDOM(html, {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        virtualConsole: new VirtualConsole() // 不输出页面日志
+    });
+    await new Promise(resolve => dom.window.addEventListener('DOMContentLoaded', resolve));
+
+    dom.window.fetch = async (url) => {
+        const body = responses[new URL(url, 'http://localhost/').pathname];
+        return { ok: !!body, status: body ? 200 : 404, json: async () => body || {} };
+    };
+    dom.window.eval(fs.readFileSync(path.join(ROOT, 'js/schema.js'), 'utf8'));
+    dom.window.eval(fs.readFileSync(path.join(ROOT, 'js/app.js'), 'utf8'));
+    windows.push(dom.window);
+    return dom.window;
+}
+
+// 将HTML放入容器中，返回容器
+function render(window, html) {
+    const container = window.document.createElement('div');
+    container.innerHTML = html;
+    return container;
+}
+
+// 等待条件成立 (如异步加载的内容渲染完成)，超时后失败
+async function waitFor(condition, message, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) assert.fail('等待超时: ' + message);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// 检查远程数据是否逃逸出属性值
+function assertNoInjectedAttributes(container) {
+    assert.strictEqual(container.querySelector('[onmouseover]'), null, '远程数据注入了事件属性');
+}
+
+const HOSTILE = 'evil" onmouseover="alert(1)\' x=\'';
+
+test('escapeHtml 转义引号', async () => {
+    const window = await loadApp();
+    assert.strictEqual(window.escapeHtml(`<a href="x">'&`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;');
+    assert.strictEqual(window.escapeHtml(null), '');
+});
+
+test('模组ID中的引号不会逃逸出title属性', async () => {
+    const window = await loadApp();
+    const container = render(window, window.createModInfo({
+        loader: 'forge',
+        mods: [{ id: HOSTILE, version: '1.0' }]
+    }));
+
+    assertNoInjectedAttributes(container);
+    assert.ok([...container.querySelectorAll('[title]')].some(element => element.title === HOSTILE));
+});
+
+test('模组列表中的模组ID与频道不会逃逸出title属性', async () => {
+    const window = await loadApp();
+    window.renderServerDetail({
+        id: 1,
+        name: 'test',
+        address: 'example.com',
+        port: 25565,
+        type: 'java',
+        online: true,
+        players: { online: 0, max: 10, sample: [] },
+        mods: {
+            loader: 'forge',
+            mods: [{ id: HOSTILE, version: HOSTILE }],
+            channels: [{ name: HOSTILE + ':main', version: HOSTILE, required: true }]
+        }
+    });
+
+    const list = window.document.getElementById('detailModList');
+    assertNoInjectedAttributes(list);
+    assert.ok(list.querySelector('.player-tag').title.includes(HOSTILE));
+});
+
+test('Query返回的插件名不会逃逸出title属性', async () => {
+    const window = await loadApp();
+    const container = render(window, window.createQueryInfo({
+        map: 'world',
+        software: 'Paper',
+        plugins: ['WorldEdit', HOSTILE]
+    }));
+
+    assertNoInjectedAttributes(container);
+    assert.ok(container.querySelector('[title*="WorldEdit"]').title.includes(HOSTILE));
+});
+
+test('玩家UUID与故障错误信息不会逃逸出title属性', async () => {
+    const responses = {
+        '/api/server/1': {
+            id: 1,
+            name: 'test',
+            address: 'example.com',
+            port: 25565,
+            type: 'java',
+            online: true,
+            players: { online: 1, max: 10, sample: [{ name: 'Steve', id: HOSTILE }] }
+        },
+        '/api/server/1/history': { points: [], errors: [] },
+        '/api/server/1/uptime': {
+            uptime: { '24h': 0.5, '7d': 0.5, '30d': 0.5 },
+            incidents: [{ start: Date.now() - 60000, end: null, duration: 60000, ongoing: true, reason: '连接错误', error: HOSTILE }]
+        },
+        '/api/server/1/players': {
+            players: [{ name: 'Steve', uuid: HOSTILE, active: true, lastSeen: Date.now(), duration: 1000 }]
+        }
+    };
+
+    const window = await loadApp(responses);
+    await window.openServerDetail(1);
+
+    // 历史、可用率与玩家在openServerDetail返回后异步加载
+    const selector = `[title="${HOSTILE.replace(/"/g, '\\"')}"]`;
+    for (const id of ['detailInfo', 'detailPlayers', 'detailUptime']) {
+        const container = window.document.getElementById(id);
+        await waitFor(() => container.querySelector(selector), `${id} 中缺少原样显示的title`);
+        assertNoInjectedAttributes(container);
+    }
+});
+
+test('提示消息中的服务器名称作为文本显示', async () => {
+    const window = await loadApp();
+    const name = '<img src=x onerror="alert(1)">';
+    window.showToast(`✅ 服务器 "${name}" 已删除`, 'success');
+
+    const toast = window.document.getElementById('toast');
+    assert.strictEqual(toast.querySelector('img'), null, '服务器名称被解析为HTML');
+    assert.ok(toast.querySelector('i.fa-check-circle'));
+    assert.ok(toast.textContent.includes(name));
+});